@@ -0,0 +1,115 @@
+// ambisonics.js
+import * as THREE from 'three';
+import { aimDirection } from './directivity.js';
+
+// AmbiX channel order (ACN) for first order: W, Y, Z, X
+export const FOA_CHANNELS = ['W', 'Y', 'Z', 'X'];
+
+const _random = new THREE.Vector3();
+const _mean = new THREE.Vector3();
+
+// Same draws as THREE.Vector3.randomDirection(), from any uniform generator
+function randomDirection(random, target) {
+  const u = (random() - 0.5) * 2;
+  const t = random() * Math.PI * 2;
+  const f = Math.sqrt(1 - u * u);
+  return target.set(f * Math.cos(t), u, f * Math.sin(t));
+}
+
+/**
+ * Listener frame for a receiver facing the given azimuth in the horizontal
+ * plane (same azimuth convention as aimDirection()). Ambisonic X points to
+ * the front, Y to the left and Z up.
+ * @param {number} azimuth - Facing azimuth in degrees.
+ * @returns {{ forward: THREE.Vector3, left: THREE.Vector3, up: THREE.Vector3 }}
+ */
+export function createListenerFrame(azimuth) {
+  const forward = aimDirection(azimuth, 0);
+  const up = new THREE.Vector3(0, 1, 0);
+  const left = new THREE.Vector3().crossVectors(up, forward).normalize();
+  return { forward, left, up };
+}
+
+/**
+ * First-order ACN/SN3D gains for sound arriving from `direction`.
+ * @param {{x: number, y: number, z: number}} direction - Unit vector from the
+ *   receiver towards where the sound comes from (world space).
+ * @param {object} frame - Result of createListenerFrame().
+ * @param {number[]} [out] - Optional output array.
+ * @returns {number[]} Gains in FOA_CHANNELS order.
+ */
+export function encodeFirstOrder(direction, frame, out = new Array(4)) {
+  const { forward, left, up } = frame;
+  out[0] = 1;
+  out[1] = direction.x * left.x + direction.y * left.y + direction.z * left.z;
+  out[2] = direction.x * up.x + direction.y * up.y + direction.z * up.z;
+  out[3] = direction.x * forward.x + direction.y * forward.y + direction.z * forward.z;
+  return out;
+}
+
+/**
+ * Energy-weighted mean arrival direction of one histogram bin. Its length runs
+ * from 0 for a diffuse bin to 1 when all the energy arrives from one direction.
+ * @param {?Float32Array} directionHistogram - See assignPulseDirections().
+ * @param {?Float32Array} energyHistogram - Total energy per bin.
+ * @param {number} bin - Bin index.
+ * @param {THREE.Vector3} target - Receives the result.
+ * @returns {THREE.Vector3} `target`; zero for an empty bin.
+ */
+export function binMeanDirection(directionHistogram, energyHistogram, bin, target) {
+  const energy = energyHistogram?.[bin] ?? 0;
+  if (!directionHistogram || !(energy > 0)) return target.set(0, 0, 0);
+  return target.set(
+    directionHistogram[bin * 3] / energy,
+    directionHistogram[bin * 3 + 1] / energy,
+    directionHistogram[bin * 3 + 2] / energy
+  );
+}
+
+/**
+ * Gives every late ray-radiosity pulse an arrival direction. In `surface`
+ * mode the direction is drawn around the energy-weighted mean direction of the
+ * pulse's histogram bin: a strongly directional bin keeps its direction, a
+ * diffuse one (short resultant) is dominated by the random part. `random`
+ * mode ignores the histogram and draws uniformly over the sphere.
+ * @param {Array<{time: number}>} pulses - Pulses from the RR synthesis (mutated).
+ * @param {?Float32Array} directionHistogram - Energy-weighted unit vectors per
+ *   bin (x, y, z interleaved), normalised by the bin's energy on the fly.
+ * @param {?Float32Array} energyHistogram - Total energy per bin.
+ * @param {number} binSize - Histogram bin width in seconds.
+ * @param {string} [mode='surface'] - `surface` or `random`.
+ * @param {function(): number} [random=Math.random] - Uniform samples in [0, 1).
+ * @returns {Array} The same pulses.
+ */
+export function assignPulseDirections(pulses, directionHistogram, energyHistogram, binSize, mode = 'surface', random = Math.random) {
+  for (const pulse of pulses) {
+    randomDirection(random, _random);
+    const bin = Math.floor(pulse.time / binSize);
+    if (mode === 'surface' && (energyHistogram?.[bin] ?? 0) > 0) {
+      binMeanDirection(directionHistogram, energyHistogram, bin, _mean);
+      const spread = Math.max(0, 1 - _mean.length());
+      _random.multiplyScalar(spread).add(_mean);
+      if (_random.lengthSq() < 1e-12) randomDirection(random, _random);
+      _random.normalize();
+    }
+    pulse.direction = { x: _random.x, y: _random.y, z: _random.z };
+  }
+  return pulses;
+}
+
+/**
+ * Decodes FOA to a stereo pair of virtual cardioids aimed left and right, for
+ * monitoring through a stereo convolver.
+ * @param {Float32Array[]} channels - W, Y, Z, X channel data.
+ * @returns {Float32Array[]} Left and right channel data.
+ */
+export function decodeFirstOrderToStereo(channels) {
+  const [w, y] = channels;
+  const left = new Float32Array(w.length);
+  const right = new Float32Array(w.length);
+  for (let i = 0; i < w.length; i++) {
+    left[i] = 0.5 * (w[i] + y[i]);
+    right[i] = 0.5 * (w[i] - y[i]);
+  }
+  return [left, right];
+}
@@ -0,0 +1,115 @@
+// arrival-placement.js
+
+export const ARRIVAL_PLACEMENTS = {
+  linear: { label: 'Linear' },
+  sinc: { label: 'Windowed sinc' }
+};
+
+export const OVERSAMPLING_FACTORS = [1, 2, 4];
+
+// Fractional positions are tabulated at this resolution per sample
+const FRACTION_STEPS = 256;
+// Decimation kernel taps per unit of oversampling
+const DECIMATION_TAPS_PER_FACTOR = 96;
+
+function sinc(x) {
+  return x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+}
+
+// Blackman window over t in [-half, half]
+function blackman(t, half) {
+  const x = Math.PI * t / half;
+  return Math.abs(t) >= half ? 0 : 0.42 + 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+}
+
+function fractionalDelayTable(taps) {
+  const half = taps / 2;
+  return Array.from({ length: FRACTION_STEPS + 1 }, (_, step) => {
+    const fraction = step / FRACTION_STEPS;
+    const row = new Float32Array(taps);
+    let sum = 0;
+    for (let j = 0; j < taps; j++) {
+      const t = j - (half - 1) - fraction;
+      row[j] = sinc(t) * blackman(t, half);
+      sum += row[j];
+    }
+    // Unity gain at DC, so an arrival keeps its level at low frequencies
+    for (let j = 0; j < taps; j++) row[j] /= sum;
+    return row;
+  });
+}
+
+/**
+ * Adds arrivals to a sample buffer at fractional sample positions.
+ * - `linear` splits each arrival between the two neighbouring samples, which
+ *   is cheap but rolls off the top octave.
+ * - `sinc` spreads it over a Blackman-windowed sinc of `taps` samples centred
+ *   on the exact position, flat up to near Nyquist.
+ * @param {object} [config] - Placement settings.
+ * @param {string} [config.method='linear'] - Key of ARRIVAL_PLACEMENTS.
+ * @param {number} [config.taps=16] - Sinc kernel length, rounded up to even.
+ * @returns {function(Float32Array, number, number): void} Adds `amplitude` to
+ *   `data` at sample position `position`.
+ */
+export function createArrivalPlacer({ method = 'linear', taps = 16 } = {}) {
+  if (method !== 'sinc') {
+    return (data, position, amplitude) => {
+      const base = Math.floor(position);
+      const fraction = position - base;
+      if (base < data.length - 1) {
+        data[base] += amplitude * (1 - fraction);
+        data[base + 1] += amplitude * fraction;
+      } else if (base < data.length) {
+        data[base] += amplitude;
+      }
+    };
+  }
+
+  const length = Math.max(2, Math.ceil(taps / 2) * 2);
+  const table = fractionalDelayTable(length);
+  return (data, position, amplitude) => {
+    const base = Math.floor(position);
+    const row = table[Math.round((position - base) * FRACTION_STEPS)];
+    const start = base - (length / 2 - 1);
+    const from = Math.max(0, -start);
+    const to = Math.min(length, data.length - start);
+    for (let j = from; j < to; j++) data[start + j] += amplitude * row[j];
+  };
+}
+
+/**
+ * Low-pass filters an oversampled signal and keeps every `factor`-th sample.
+ * The Blackman-windowed kernel reaches its stopband at the output Nyquist
+ * frequency, so the passband is flat to about 0.44 of the output rate.
+ * @param {Float32Array} data - Signal at `factor` times the output rate.
+ * @param {number} factor - Integer oversampling factor.
+ * @returns {Float32Array} Signal at the output rate.
+ */
+export function decimate(data, factor) {
+  if (factor <= 1) return data;
+
+  const taps = DECIMATION_TAPS_PER_FACTOR * factor + 1;
+  const middle = (taps - 1) / 2;
+  // A Blackman transition is about 5.5 / taps of the input rate wide
+  const cutoff = (0.5 - 2.75 * factor / taps) / factor;
+  const kernel = new Float32Array(taps);
+  let sum = 0;
+  for (let k = 0; k < taps; k++) {
+    const t = k - middle;
+    kernel[k] = 2 * cutoff * sinc(2 * cutoff * t) * blackman(t, middle + 1);
+    sum += kernel[k];
+  }
+  // DC gain of `factor` keeps an arrival's amplitude across the rate change
+  for (let k = 0; k < taps; k++) kernel[k] *= factor / sum;
+
+  const output = new Float32Array(Math.ceil(data.length / factor));
+  for (let m = 0; m < output.length; m++) {
+    const center = m * factor;
+    const from = Math.max(0, middle - center);
+    const to = Math.min(taps, data.length - center + middle);
+    let value = 0;
+    for (let k = from; k < to; k++) value += kernel[k] * data[center + k - middle];
+    output[m] = value;
+  }
+  return output;
+}
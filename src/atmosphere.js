@@ -0,0 +1,63 @@
+// atmosphere.js
+
+const REFERENCE_TEMPERATURE = 293.15; // K
+const TRIPLE_POINT_TEMPERATURE = 273.16; // K
+const REFERENCE_PRESSURE = 101.325; // kPa
+const NEPERS_PER_DECIBEL = Math.LN10 / 20;
+
+/**
+ * Speed of sound in air for a temperature in degrees Celsius, as used by
+ * ISO 9613-1 (humidity and pressure effects are well below 0.5 %).
+ * @param {number} temperature - Air temperature in °C.
+ * @returns {number} Speed of sound in m/s.
+ */
+export function speedOfSoundInAir(temperature) {
+  const kelvin = Math.max(1, temperature + 273.15);
+  return 343.2 * Math.sqrt(kelvin / REFERENCE_TEMPERATURE);
+}
+
+/**
+ * Pure-tone atmospheric attenuation from ISO 9613-1.
+ * @param {number} frequency - Frequency in Hz.
+ * @param {object} atmosphere - Air conditions.
+ * @param {number} atmosphere.temperature - Temperature in °C.
+ * @param {number} atmosphere.humidity - Relative humidity in %.
+ * @param {number} atmosphere.pressure - Ambient pressure in kPa.
+ * @returns {number} Attenuation in dB per metre.
+ */
+export function airAttenuationDb(frequency, { temperature, humidity, pressure }) {
+  const T = Math.max(1, temperature + 273.15);
+  const pa = Math.max(1e-3, pressure) / REFERENCE_PRESSURE;
+  const tr = T / REFERENCE_TEMPERATURE;
+
+  // Molar concentration of water vapour (%) from relative humidity
+  const c = -6.8346 * Math.pow(TRIPLE_POINT_TEMPERATURE / T, 1.261) + 4.6151;
+  const h = Math.max(0, humidity) * Math.pow(10, c) / pa;
+
+  // Relaxation frequencies of oxygen and nitrogen
+  const frO = pa * (24 + 4.04e4 * h * (0.02 + h) / (0.391 + h));
+  const frN = pa * Math.pow(tr, -0.5) * (9 + 280 * h * Math.exp(-4.17 * (Math.pow(tr, -1 / 3) - 1)));
+
+  const f2 = frequency * frequency;
+  return 8.686 * f2 * (
+    1.84e-11 / pa * Math.sqrt(tr) +
+    Math.pow(tr, -2.5) * (
+      0.01275 * Math.exp(-2239.1 / T) / (frO + f2 / frO) +
+      0.1068 * Math.exp(-3352 / T) / (frN + f2 / frN)
+    )
+  );
+}
+
+/**
+ * Amplitude attenuation coefficients for a set of bands, ready to be applied
+ * as `amplitude * Math.exp(-coefficient * distance)`.
+ * @param {number[]} freqBands - Band centre frequencies in Hz.
+ * @param {object} atmosphere - Air conditions, see airAttenuationDb().
+ * @returns {Object<number, number>} Nepers per metre keyed by band.
+ */
+export function airAttenuationCoefficients(freqBands, atmosphere) {
+  return Object.fromEntries(freqBands.map(freq => [
+    freq,
+    airAttenuationDb(freq, atmosphere) * NEPERS_PER_DECIBEL
+  ]));
+}
@@ -0,0 +1,132 @@
+// crossover.js
+
+import { getBandEdges, inferBandFraction } from './frequency-bands.js';
+
+// Kernels longer than this are impractical to convolve in the browser
+const MAX_TAPS = 32767;
+
+function hannWindow(length) {
+  const window = new Float64Array(length);
+  for (let n = 0; n < length; n++) {
+    window[n] = 0.5 * (1 - Math.cos(2 * Math.PI * n / (length - 1)));
+  }
+  return window;
+}
+
+// Windowed-sinc lowpass with unity gain at DC
+function lowpassKernel(cutoff, sampleRate, window) {
+  const length = window.length;
+  const fc = cutoff / sampleRate;
+  const middle = (length - 1) / 2;
+  const kernel = new Float64Array(length);
+  let sum = 0;
+  for (let n = 0; n < length; n++) {
+    const k = n - middle;
+    kernel[n] = (k === 0 ? 2 * fc : Math.sin(2 * Math.PI * fc * k) / (Math.PI * k)) * window[n];
+    sum += kernel[n];
+  }
+  for (let n = 0; n < length; n++) kernel[n] /= sum;
+  return kernel;
+}
+
+/**
+ * Crossover frequencies between adjacent bands: the geometric mean of one
+ * band's upper edge and the next band's lower edge, which for the standard
+ * band sets is the shared nominal edge.
+ * @param {number[]} freqBands - Centre frequencies in Hz.
+ * @returns {number[]} One frequency fewer than there are bands, ascending.
+ */
+export function crossoverFrequencies(freqBands) {
+  const centers = freqBands.map(Number).sort((a, b) => a - b);
+  const fraction = inferBandFraction(centers);
+  const edges = centers.map(center => getBandEdges(center, fraction));
+  return edges.slice(1).map((upper, i) => Math.sqrt(edges[i].high * upper.low));
+}
+
+/**
+ * Linear-phase crossover filterbank. Every kernel is the difference of two
+ * lowpasses sharing one length and window (the lowest band is a lowpass, the
+ * highest a highpass), so the bands sum exactly to a delayed impulse: the
+ * recombined response is flat whatever the band set. The length is chosen so
+ * the transitions are narrow against the gap between the lowest crossovers.
+ * Bands whose crossover falls above Nyquist get no kernel.
+ * @param {Array<number|string>} freqBands - Band keys (centre frequencies).
+ * @param {number} sampleRate - Sample rate in Hz.
+ * @returns {{ numTaps: number, crossovers: number[], kernels: Object<string, ?Float32Array> }}
+ *   Kernels keyed like `freqBands`, each with a delay of (numTaps - 1) / 2.
+ */
+export function designCrossoverFilterbank(freqBands, sampleRate) {
+  const bands = freqBands.slice().sort((a, b) => Number(a) - Number(b));
+  const nyquist = sampleRate / 2;
+  const crossovers = crossoverFrequencies(bands).filter(freq => freq < nyquist * 0.95);
+
+  let numTaps = 1;
+  if (crossovers.length > 0) {
+    // A Hann window's transition band is about 3.1 fs / N wide; keep it to
+    // half the gap between the two lowest crossovers
+    const gap = crossovers.length > 1 ? crossovers[1] - crossovers[0] : crossovers[0];
+    numTaps = Math.min(MAX_TAPS, Math.ceil(6.2 * sampleRate / gap)) | 1;
+  }
+
+  const window = hannWindow(numTaps);
+  const lowpasses = crossovers.map(freq => lowpassKernel(freq, sampleRate, window));
+  const impulse = new Float64Array(numTaps);
+  impulse[(numTaps - 1) / 2] = 1;
+  const upper = [...lowpasses, impulse];
+
+  const kernels = {};
+  bands.forEach((band, i) => {
+    if (i >= upper.length) {
+      kernels[band] = null;
+      return;
+    }
+    const kernel = new Float32Array(numTaps);
+    for (let n = 0; n < numTaps; n++) {
+      kernel[n] = upper[i][n] - (i > 0 ? lowpasses[i - 1][n] : 0);
+    }
+    kernels[band] = kernel;
+  });
+
+  return { numTaps, crossovers, kernels };
+}
+
+function magnitudeDb(kernel, frequency, sampleRate) {
+  const omega = 2 * Math.PI * frequency / sampleRate;
+  let re = 0;
+  let im = 0;
+  for (let n = 0; n < kernel.length; n++) {
+    re += kernel[n] * Math.cos(omega * n);
+    im -= kernel[n] * Math.sin(omega * n);
+  }
+  return 20 * Math.log10(Math.max(Math.hypot(re, im), 1e-12));
+}
+
+/**
+ * Magnitude responses of a filterbank on a log-spaced frequency grid.
+ * @param {Object<string, ?Float32Array>} kernels - Result of designCrossoverFilterbank().kernels.
+ * @param {number} sampleRate - Sample rate in Hz.
+ * @param {number} [points=160] - Grid size.
+ * @param {number} [minFrequency=20] - Lowest grid frequency in Hz.
+ * @returns {{ frequencies: Float64Array, bands: Object<string, Float64Array>, sum: Float64Array }}
+ *   Levels in dB per band and for the sum of all bands.
+ */
+export function filterbankResponse(kernels, sampleRate, points = 160, minFrequency = 20) {
+  const maxFrequency = sampleRate / 2;
+  const frequencies = Float64Array.from({ length: points }, (_, i) =>
+    minFrequency * Math.pow(maxFrequency / minFrequency, i / (points - 1)));
+
+  const active = Object.entries(kernels).filter(([, kernel]) => kernel);
+  const summed = new Float64Array(active[0]?.[1].length ?? 0);
+  active.forEach(([, kernel]) => {
+    for (let n = 0; n < kernel.length; n++) summed[n] += kernel[n];
+  });
+
+  return {
+    frequencies,
+    bands: Object.fromEntries(active.map(([band, kernel]) => [
+      band,
+      frequencies.map(freq => magnitudeDb(kernel, freq, sampleRate))
+    ])),
+    sum: frequencies.map(freq => magnitudeDb(summed, freq, sampleRate))
+  };
+}
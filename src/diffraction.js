@@ -0,0 +1,392 @@
+// diffraction.js
+import * as THREE from 'three';
+import { INTERSECTED, MeshBVH, NOT_INTERSECTED } from 'three-mesh-bvh';
+import { pressureReflectionFactor, sphericalPressure } from './energy-model.js';
+import {
+  createOcclusionTest,
+  sphereIntersectsCone,
+  traceImagePath,
+  triangleBeam
+} from './image-source.js';
+
+const DEG2RAD = Math.PI / 180;
+const TWO_PI = 2 * Math.PI;
+// Diffraction points are nudged this far into the air so that legs grazing
+// the wedge faces are not reported as occluded
+const EDGE_OFFSET = 1e-3;
+// Vertex welding precision (1/100 mm) used to find shared edges
+const WELD_SCALE = 1e5;
+
+// Band used for the wavenumber when tracing a single broadband channel
+const BROADBAND_REFERENCE_FREQUENCY = 1000;
+
+const edgeCache = new WeakMap();
+const edgeTreeCache = new WeakMap();
+
+const bandFrequency = (band) => band === 'broadband' ? BROADBAND_REFERENCE_FREQUENCY : Number(band);
+
+function vertexKey(v, o) {
+  return `${Math.round(v[o] * WELD_SCALE)},${Math.round(v[o + 1] * WELD_SCALE)},${Math.round(v[o + 2] * WELD_SCALE)}`;
+}
+
+/**
+ * Finds the edges of a room mesh that stick out into the room far enough to
+ * diffract: edges shared by two triangles whose outward normals turn by more
+ * than `minAngle`, and that are convex as seen from the air (ridges and folds,
+ * not corners). Results are cached per triangle set.
+ * @param {object} tris - Triangle data from readTriangles() (or an image-source set's `tris`).
+ * @param {number} [minAngle=30] - Minimum turning angle between the faces in degrees.
+ * @returns {Array<{ start: THREE.Vector3, end: THREE.Vector3, axis: THREE.Vector3, length: number,
+ *   center: THREE.Vector3, faceDirection: THREE.Vector3, airNormal: THREE.Vector3, bisector: THREE.Vector3, wedgeIndex: number }>}
+ *   Edges with face 0 spanned by `axis` and `faceDirection`; `airNormal` is
+ *   face 0's normal pointing into the room and the open (air) wedge measures
+ *   `wedgeIndex * π`.
+ */
+export function findDiffractingEdges(tris, minAngle = 30) {
+  const cached = edgeCache.get(tris);
+  if (cached && cached.minAngle === minAngle) return cached.edges;
+
+  const { count, vertices: v, normals } = tris;
+  const owners = new Map();
+  for (let t = 0; t < count; t++) {
+    const keys = [0, 1, 2].map(k => vertexKey(v, t * 9 + k * 3));
+    for (let k = 0; k < 3; k++) {
+      const a = keys[k];
+      const b = keys[(k + 1) % 3];
+      if (a === b) continue;
+      const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+      const entry = owners.get(key);
+      if (entry) entry.push({ t, k });
+      else owners.set(key, [{ t, k }]);
+    }
+  }
+
+  const minTurn = minAngle * DEG2RAD;
+  const edges = [];
+  const normal0 = new THREE.Vector3();
+  const normal1 = new THREE.Vector3();
+  const far = new THREE.Vector3();
+
+  owners.forEach(entry => {
+    // Open and non-manifold edges have no well-defined wedge
+    if (entry.length !== 2) return;
+    const [{ t: t0, k }, { t: t1 }] = entry;
+    normal0.fromArray(normals, t0 * 3);
+    normal1.fromArray(normals, t1 * 3);
+    const turn = Math.acos(THREE.MathUtils.clamp(normal0.dot(normal1), -1, 1));
+    if (turn < minTurn) return;
+
+    const o0 = t0 * 9;
+    const o1 = t1 * 9;
+    const start = new THREE.Vector3().fromArray(v, o0 + k * 3);
+    const end = new THREE.Vector3().fromArray(v, o0 + ((k + 1) % 3) * 3);
+
+    // Convex towards the room when face 1 falls away behind face 0's plane
+    let farDistance = 0;
+    for (let j = 0; j < 3; j++) {
+      far.fromArray(v, o1 + j * 3);
+      const d = far.clone().sub(start).dot(normal0);
+      if (Math.abs(d) > Math.abs(farDistance)) farDistance = d;
+    }
+    if (farDistance <= 0) return;
+
+    const axis = end.clone().sub(start);
+    const length = axis.length();
+    if (length < 1e-9) return;
+    axis.divideScalar(length);
+
+    far.fromArray(v, o0 + ((k + 2) % 3) * 3).sub(start);
+    const faceDirection = far.addScaledVector(axis, -far.dot(axis)).normalize().clone();
+
+    edges.push({
+      start,
+      end,
+      axis,
+      length,
+      center: start.clone().lerp(end, 0.5),
+      faceDirection,
+      airNormal: normal0.clone().negate(),
+      bisector: normal0.clone().add(normal1).negate().normalize(),
+      wedgeIndex: 1 + turn / Math.PI
+    });
+  });
+
+  edgeCache.set(tris, { minAngle, edges });
+  return edges;
+}
+
+// BVH over the edges (as degenerate triangles) so beams can be shapecast
+// against them like the image-source tree does with the room triangles
+function edgeTree(edges) {
+  let tree = edgeTreeCache.get(edges);
+  if (!tree) {
+    const positions = new Float32Array(edges.length * 9);
+    edges.forEach((edge, e) => {
+      edge.start.toArray(positions, e * 9);
+      edge.end.toArray(positions, e * 9 + 3);
+      edge.center.toArray(positions, e * 9 + 6);
+    });
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    tree = new MeshBVH(geometry);
+    edgeTreeCache.set(edges, tree);
+  }
+  return tree;
+}
+
+// Angle of a point around an edge, measured from face 0 towards the air
+function wedgeAngle(edge, point) {
+  const x = point.x - edge.start.x;
+  const y = point.y - edge.start.y;
+  const z = point.z - edge.start.z;
+  const u = x * edge.faceDirection.x + y * edge.faceDirection.y + z * edge.faceDirection.z;
+  const w = x * edge.airNormal.x + y * edge.airNormal.y + z * edge.airNormal.z;
+  const angle = Math.atan2(w, u);
+  return angle < 0 ? angle + TWO_PI : angle;
+}
+
+/**
+ * UTD transition function F(X) = 2i√X e^{iX} ∫_{√X}^∞ e^{-iτ²} dτ, evaluated
+ * with the rational Fresnel auxiliary functions of Abramowitz & Stegun 7.3.32-33
+ * (error below 2e-3).
+ * @returns {number[]} Real and imaginary part.
+ */
+function transitionFunction(x) {
+  if (x <= 0) return [0, 0];
+  const z = Math.sqrt(2 * x / Math.PI);
+  const f = (1 + 0.926 * z) / (2 + 1.792 * z + 3.104 * z * z);
+  const g = 1 / (2 + 4.142 * z + 3.492 * z * z + 6.670 * z * z * z);
+  const scale = Math.sqrt(TWO_PI * x);
+  return [scale * f, scale * g];
+}
+
+/**
+ * Energy gain of a rigid wedge relative to free-field propagation over the
+ * same unfolded path length, from the Uniform Theory of Diffraction
+ * (Kouyoumjian & Pathak, 1974) for a point source.
+ * @param {number} wedgeIndex - Open wedge angle divided by π.
+ * @param {number} wavenumber - k in rad/m.
+ * @param {number} sourceDistance - Source to edge point in metres.
+ * @param {number} receiverDistance - Edge point to receiver in metres.
+ * @param {number} sourceAngle - φ' of the source around the edge in radians.
+ * @param {number} receiverAngle - φ of the receiver around the edge in radians.
+ * @param {number} sinSkew - sin β0, the angle between the incident ray and the edge.
+ * @returns {number}
+ */
+export function utdEnergyGain(wedgeIndex, wavenumber, sourceDistance, receiverDistance, sourceAngle, receiverAngle, sinSkew) {
+  const n = wedgeIndex;
+  const s = receiverDistance;
+  const sp = sourceDistance;
+  const distanceParameter = s * sp * sinSkew * sinSkew / (s + sp);
+  let real = 0;
+  let imag = 0;
+
+  for (const angle of [receiverAngle - sourceAngle, receiverAngle + sourceAngle]) {
+    for (const sign of [1, -1]) {
+      let beta = angle;
+      let argument = (Math.PI + sign * beta) / (2 * n);
+      // On a shadow or reflection boundary cot → ∞ while F → 0; step off it
+      if (Math.abs(Math.sin(argument)) < 1e-6) {
+        beta += 1e-5;
+        argument = (Math.PI + sign * beta) / (2 * n);
+      }
+      const cot = Math.cos(argument) / Math.sin(argument);
+      const N = Math.round((beta + sign * Math.PI) / (TWO_PI * n));
+      const a = 2 * Math.cos((TWO_PI * n * N - beta) / 2) ** 2;
+      const [fr, fi] = transitionFunction(wavenumber * distanceParameter * a);
+      real += cot * fr;
+      imag += cot * fi;
+    }
+  }
+
+  const coefficient = (real * real + imag * imag) / (8 * Math.PI * wavenumber * n * n * sinSkew * sinSkew);
+  return coefficient * (s + sp) / (s * sp);
+}
+
+// Point on the edge where the unfolded source-receiver path is shortest
+// (Keller's law of edge diffraction), or null when it falls off the segment.
+function diffractionPoint(edge, source, receiver, target) {
+  const ts = target.copy(source).sub(edge.start).dot(edge.axis);
+  const ds = source.distanceTo(target.copy(edge.start).addScaledVector(edge.axis, ts));
+  const tr = target.copy(receiver).sub(edge.start).dot(edge.axis);
+  const dr = receiver.distanceTo(target.copy(edge.start).addScaledVector(edge.axis, tr));
+  const t = ds + dr > 1e-9 ? ts + (tr - ts) * ds / (ds + dr) : ts;
+  if (t < 0 || t > edge.length) return null;
+  return target.copy(edge.start).addScaledVector(edge.axis, t);
+}
+
+/**
+ * Finds first-order diffracted paths around the ridges of the room, from the
+ * real source and from image sources up to `maxOrder` (reflections before the
+ * edge). Following common practice for energy-based models, an edge only
+ * contributes while the specular path from the same (image) source is
+ * blocked, so diffraction fills the shadow zones without double-counting
+ * energy in the lit region.
+ * @param {object} imageSources - Result of buildImageSources().
+ * @param {THREE.BufferGeometry} geometry - The same BVH-backed room geometry.
+ * @param {{x: number, y: number, z: number}} receiverPosition - Receiver centre.
+ * @param {object} options - Search options.
+ * @param {number} [options.maxOrder=0] - Highest image order to diffract from.
+ * @param {number} [options.minAngle=30] - Edge turning angle threshold, see findDiffractingEdges().
+ * @param {number} [options.maxDistance=Infinity] - Longest unfolded path to keep.
+ * @returns {Array<{distance: number, sourceDistance: number, receiverDistance: number, wedgeIndex: number,
+ *   sourceAngle: number, receiverAngle: number, sinSkew: number, triangles: number[],
+ *   direction: THREE.Vector3, arrivalDirection: THREE.Vector3}>}
+ */
+export function findDiffractionPaths(imageSources, geometry, receiverPosition, { maxOrder = 0, minAngle = 30, maxDistance = Infinity } = {}) {
+  const { positions, orders, count, source } = imageSources;
+  const edges = findDiffractingEdges(imageSources.tris, minAngle);
+  const receiver = new THREE.Vector3(receiverPosition.x, receiverPosition.y, receiverPosition.z);
+  const isOccluded = createOcclusionTest(geometry);
+  const emitter = new THREE.Vector3();
+  const beamAxis = new THREE.Vector3();
+  const point = new THREE.Vector3();
+  const paths = [];
+  if (edges.length === 0) return paths;
+
+  const receiverAngles = edges.map(edge => wedgeAngle(edge, receiver));
+  const tree = edgeTree(edges);
+  const treeIndex = tree.geometry.index;
+  const center = new THREE.Vector3();
+  const size = new THREE.Vector3();
+  const candidates = [];
+
+  for (let i = -1; i < count; i++) {
+    if (i >= 0 && orders[i] > maxOrder) continue;
+    if (i < 0) emitter.copy(source);
+    else emitter.set(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+    if (emitter.distanceTo(receiver) > maxDistance) continue;
+
+    // Lit receivers hear the specular path instead
+    const lit = i < 0
+      ? !isOccluded(source, receiver)
+      : !!traceImagePath(imageSources, i, receiver, isOccluded);
+    if (lit) continue;
+
+    // Reflected sound only reaches edges inside the beam through the last reflecting triangle
+    candidates.length = 0;
+    if (i < 0) {
+      edges.forEach((edge, e) => candidates.push(e));
+    } else {
+      const { cosHalfAngle, sinHalfAngle } = triangleBeam(imageSources.tris, imageSources.triangles[i], emitter, beamAxis);
+      tree.shapecast({
+        intersectsBounds: (box) => {
+          box.getCenter(center);
+          const radius = box.getSize(size).length() * 0.5;
+          return sphereIntersectsCone(emitter, beamAxis, cosHalfAngle, sinHalfAngle, center.x, center.y, center.z, radius)
+            ? INTERSECTED
+            : NOT_INTERSECTED;
+        },
+        intersectsTriangle: (triangle, t) => {
+          const e = Math.floor(treeIndex.getX(t * 3) / 3);
+          const edge = edges[e];
+          if (sphereIntersectsCone(emitter, beamAxis, cosHalfAngle, sinHalfAngle, edge.center.x, edge.center.y, edge.center.z, edge.length / 2)) {
+            candidates.push(e);
+          }
+          return false;
+        }
+      });
+    }
+
+    candidates.forEach(e => {
+      const edge = edges[e];
+      const open = edge.wedgeIndex * Math.PI;
+      const sourceAngle = wedgeAngle(edge, emitter);
+      const receiverAngle = receiverAngles[e];
+      if (sourceAngle >= open || receiverAngle >= open) return;
+      if (!diffractionPoint(edge, emitter, receiver, point)) return;
+
+      const sourceDistance = emitter.distanceTo(point);
+      const receiverDistance = receiver.distanceTo(point);
+      if (sourceDistance + receiverDistance > maxDistance || sourceDistance < 1e-6 || receiverDistance < 1e-6) return;
+
+      const apex = point.clone().addScaledVector(edge.bisector, EDGE_OFFSET);
+      let triangles = [];
+      let first = apex;
+      if (i >= 0) {
+        const path = traceImagePath(imageSources, i, apex, isOccluded);
+        if (!path) return;
+        triangles = path.triangles;
+        first = path.points[path.points.length - 1];
+      } else if (isOccluded(source, apex)) {
+        return;
+      }
+      if (isOccluded(apex, receiver)) return;
+
+      const incident = point.clone().sub(emitter);
+      const sinSkew = incident.cross(edge.axis).length() / sourceDistance;
+      if (sinSkew < 1e-6) return;
+
+      paths.push({
+        distance: sourceDistance + receiverDistance,
+        sourceDistance,
+        receiverDistance,
+        wedgeIndex: edge.wedgeIndex,
+        sourceAngle,
+        receiverAngle,
+        sinSkew,
+        triangles,
+        direction: first.clone().sub(source).normalize(),
+        arrivalDirection: point.clone().sub(receiver).normalize()
+      });
+    });
+  }
+
+  return paths.sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Runs the diffraction search for one receiver and converts the paths to
+ * per-band arrivals on the same scale as the image-source arrivals.
+ * @param {object} imageSources - Result of buildImageSources().
+ * @param {THREE.BufferGeometry} geometry - The same BVH-backed room geometry.
+ * @param {{x: number, y: number, z: number}} receiverPosition - Receiver centre.
+ * @param {object} options - Conversion options.
+ * @param {Array<number|string>} options.freqBands - Band keys to produce arrivals for.
+ * @param {function(number, number|string): number} options.absorption - Absorption
+ *   coefficient of triangle `t` in band `freq`.
+ * @param {number} options.speedOfSound - Speed of sound in m/s.
+ * @param {Object<string, number>} [options.airAttenuation={}] - Air attenuation per band key in Np/m.
+ * @param {?function} [options.sourceDirectivity=null] - Directivity lookup from createDirectivity().
+ * @param {number} [options.maxOrder=0] - Reflections allowed before the edge.
+ * @param {number} [options.minAngle=30] - Edge turning angle threshold in degrees.
+ * @param {number} [options.maxDistance=Infinity] - Longest unfolded path to keep.
+ * @returns {{ pathCount: number, arrivalsByBand: Object<string, Array<{time: number, amplitude: number, direction: THREE.Vector3}>> }}
+ */
+export function computeDiffractionArrivals(imageSources, geometry, receiverPosition, {
+  freqBands,
+  absorption,
+  speedOfSound,
+  airAttenuation = {},
+  sourceDirectivity = null,
+  maxOrder = 0,
+  minAngle = 30,
+  maxDistance = Infinity
+}) {
+  const paths = findDiffractionPaths(imageSources, geometry, receiverPosition, { maxOrder, minAngle, maxDistance });
+  const wavenumbers = freqBands.map(freq => TWO_PI * bandFrequency(freq) / speedOfSound);
+  const arrivalsByBand = Object.fromEntries(freqBands.map(freq => [freq, []]));
+  const sourceGains = {};
+
+  for (const path of paths) {
+    const time = path.distance / speedOfSound;
+    const gain = sphericalPressure(path.distance);
+    if (sourceDirectivity) sourceDirectivity(path.direction, sourceGains);
+    freqBands.forEach((freq, b) => {
+      let amplitude = gain * Math.exp(-(airAttenuation[freq] ?? 0) * path.distance) * Math.sqrt(utdEnergyGain(
+        path.wedgeIndex,
+        wavenumbers[b],
+        path.sourceDistance,
+        path.receiverDistance,
+        path.sourceAngle,
+        path.receiverAngle,
+        path.sinSkew
+      ));
+      if (sourceDirectivity) amplitude *= sourceGains[freq];
+      for (const t of path.triangles) amplitude *= pressureReflectionFactor(absorption(t, freq));
+      arrivalsByBand[freq].push({ time, amplitude, direction: path.arrivalDirection });
+    });
+  }
+
+  return { pathCount: paths.length, arrivalsByBand };
+}
@@ -0,0 +1,206 @@
+// directivity.js
+import * as THREE from 'three';
+import { interpolateBandValues } from './frequency-bands.js';
+
+export const DIRECTIVITY_PATTERNS = {
+  omni: { label: 'Omnidirectional' },
+  cardioid: { label: 'Cardioid' },
+  supercardioid: { label: 'Supercardioid' },
+  talker: { label: 'Human talker' },
+  balloon: { label: 'Loudspeaker balloon (JSON)' }
+};
+
+// First-order patterns, gain = |a + (1 - a) cos θ|
+const FIRST_ORDER_WEIGHTS = {
+  cardioid: 0.5,
+  supercardioid: 0.366
+};
+
+// Rear (180°) level of a talking head relative to on-axis. Speech is close
+// to omnidirectional in the bass and increasingly beamed forward above 1 kHz.
+const TALKER_REAR_LEVEL_DB = {
+  125: -1,
+  250: -2,
+  500: -4,
+  1000: -7,
+  2000: -10,
+  4000: -13,
+  8000: -16
+};
+
+// Band used for directivity data when tracing a single broadband channel
+const BROADBAND_REFERENCE_FREQUENCY = 1000;
+
+const DEG2RAD = Math.PI / 180;
+const RAD2DEG = 180 / Math.PI;
+
+const bandFrequency = (band) => band === 'broadband' ? BROADBAND_REFERENCE_FREQUENCY : Number(band);
+
+/**
+ * Unit aim vector for an azimuth/elevation pair. Azimuth turns about +y,
+ * starting from +x towards +z; elevation tilts towards +y.
+ * @param {number} azimuth - Degrees.
+ * @param {number} elevation - Degrees.
+ * @param {THREE.Vector3} [target] - Optional output vector.
+ * @returns {THREE.Vector3}
+ */
+export function aimDirection(azimuth, elevation, target = new THREE.Vector3()) {
+  const az = azimuth * DEG2RAD;
+  const el = elevation * DEG2RAD;
+  return target.set(Math.cos(el) * Math.cos(az), Math.sin(el), Math.cos(el) * Math.sin(az));
+}
+
+function readNumberList(values, label) {
+  if (!Array.isArray(values) || values.length === 0 || !values.every(Number.isFinite)) {
+    throw new Error(`Balloon "${label}" must be a non-empty array of numbers`);
+  }
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] <= values[i - 1]) throw new Error(`Balloon "${label}" must be strictly ascending`);
+  }
+  return values.slice();
+}
+
+/**
+ * Parses a loudspeaker balloon from JSON. The grid holds levels in dB
+ * relative to on-axis, one row per elevation and one column per azimuth,
+ * for each band:
+ * `{ "azimuths": [0, 30, ...], "elevations": [-90, ..., 90], "bands": { "1000": [[...], ...] } }`.
+ * Azimuths are measured in the source's own frame (0 = on-axis) and wrap at 360°.
+ * @param {string} text - JSON document.
+ * @returns {{ azimuths: number[], elevations: number[], bands: Object<number, Float32Array> }}
+ */
+export function parseDirectivityBalloon(text) {
+  const data = JSON.parse(text);
+  const azimuths = readNumberList(data?.azimuths, 'azimuths');
+  const elevations = readNumberList(data?.elevations, 'elevations');
+  if (azimuths[azimuths.length - 1] - azimuths[0] >= 360) {
+    throw new Error('Balloon "azimuths" must span less than 360 degrees');
+  }
+
+  const bandEntries = Object.entries(data?.bands ?? {});
+  if (bandEntries.length === 0) throw new Error('Balloon has no "bands"');
+
+  const bands = {};
+  bandEntries.forEach(([freq, rows]) => {
+    const frequency = Number(freq);
+    if (!Number.isFinite(frequency) || frequency <= 0) throw new Error(`Invalid balloon band "${freq}"`);
+    if (!Array.isArray(rows) || rows.length !== elevations.length) {
+      throw new Error(`Balloon band ${freq} needs ${elevations.length} elevation rows`);
+    }
+    const grid = new Float32Array(elevations.length * azimuths.length);
+    rows.forEach((row, e) => {
+      if (!Array.isArray(row) || row.length !== azimuths.length || !row.every(Number.isFinite)) {
+        throw new Error(`Balloon band ${freq}, row ${e} needs ${azimuths.length} levels`);
+      }
+      grid.set(row, e * azimuths.length);
+    });
+    bands[frequency] = grid;
+  });
+
+  return { azimuths, elevations, bands };
+}
+
+// Resamples every grid cell of a balloon onto the traced bands (in dB)
+function resolveBalloonBands(balloon, bands) {
+  const cells = balloon.elevations.length * balloon.azimuths.length;
+  const frequencies = bands.map(bandFrequency);
+  const grids = bands.map(() => new Float32Array(cells));
+  const sourceBands = Object.entries(balloon.bands);
+
+  for (let c = 0; c < cells; c++) {
+    const levels = interpolateBandValues(
+      Object.fromEntries(sourceBands.map(([freq, grid]) => [freq, grid[c]])),
+      frequencies
+    );
+    frequencies.forEach((freq, b) => { grids[b][c] = levels[freq]; });
+  }
+  return grids;
+}
+
+// Bracketing indices and blend weight for a clamped, ascending axis
+function locateOnAxis(axis, value) {
+  if (value <= axis[0]) return [0, 0, 0];
+  const last = axis.length - 1;
+  if (value >= axis[last]) return [last, last, 0];
+  let i = 1;
+  while (axis[i] < value) i++;
+  return [i - 1, i, (value - axis[i - 1]) / (axis[i] - axis[i - 1])];
+}
+
+// As locateOnAxis, but wrapping across 360°
+function locateOnAzimuth(axis, value) {
+  const first = axis[0];
+  const wrapped = ((value - first) % 360 + 360) % 360 + first;
+  const last = axis.length - 1;
+  if (wrapped >= axis[last]) {
+    const span = first + 360 - axis[last];
+    return [last, 0, span > 0 ? (wrapped - axis[last]) / span : 0];
+  }
+  let i = 1;
+  while (axis[i] <= wrapped) i++;
+  return [i - 1, i, (wrapped - axis[i - 1]) / (axis[i] - axis[i - 1])];
+}
+
+/**
+ * Builds a directivity lookup for a source. The returned function writes the
+ * amplitude gain of each band for a unit emission direction (in world space)
+ * into `out`; gains are relative to on-axis. Omnidirectional sources return
+ * null so tracers can skip the lookup entirely.
+ * @param {object} config - Directivity settings.
+ * @param {string} config.pattern - Key of DIRECTIVITY_PATTERNS.
+ * @param {number} [config.azimuth=0] - Aim azimuth in degrees, see aimDirection().
+ * @param {number} [config.elevation=0] - Aim elevation in degrees.
+ * @param {object} [config.balloon] - Result of parseDirectivityBalloon() for `balloon`.
+ * @param {Array<number|string>} bands - Band keys the tracer carries.
+ * @returns {?function(THREE.Vector3, Object<string, number>): Object<string, number>}
+ */
+export function createDirectivity(config, bands) {
+  const pattern = config?.pattern ?? 'omni';
+  if (pattern === 'omni' || !DIRECTIVITY_PATTERNS[pattern]) return null;
+  if (pattern === 'balloon' && !config.balloon) return null;
+
+  // Source frame: forward along the aim, side and up completing a right-handed basis
+  const forward = aimDirection(config.azimuth ?? 0, config.elevation ?? 0);
+  const reference = Math.abs(forward.y) > 0.999 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+  const side = new THREE.Vector3().crossVectors(forward, reference).normalize();
+  const up = new THREE.Vector3().crossVectors(side, forward).normalize();
+
+  if (FIRST_ORDER_WEIGHTS[pattern] !== undefined) {
+    const a = FIRST_ORDER_WEIGHTS[pattern];
+    return (direction, out) => {
+      const gain = Math.abs(a + (1 - a) * direction.dot(forward));
+      for (const band of bands) out[band] = gain;
+      return out;
+    };
+  }
+
+  if (pattern === 'talker') {
+    const frequencies = bands.map(bandFrequency);
+    const rearLevels = interpolateBandValues(TALKER_REAR_LEVEL_DB, frequencies);
+    const rearGains = frequencies.map(freq => Math.pow(10, rearLevels[freq] / 20));
+    return (direction, out) => {
+      const front = 0.5 * (1 + direction.dot(forward));
+      bands.forEach((band, b) => {
+        out[band] = rearGains[b] + (1 - rearGains[b]) * front;
+      });
+      return out;
+    };
+  }
+
+  const { azimuths, elevations } = config.balloon;
+  const grids = resolveBalloonBands(config.balloon, bands);
+  const columns = azimuths.length;
+  return (direction, out) => {
+    const azimuth = Math.atan2(direction.dot(side), direction.dot(forward)) * RAD2DEG;
+    const elevation = Math.asin(THREE.MathUtils.clamp(direction.dot(up), -1, 1)) * RAD2DEG;
+    const [a0, a1, ta] = locateOnAzimuth(azimuths, azimuth);
+    const [e0, e1, te] = locateOnAxis(elevations, elevation);
+    bands.forEach((band, b) => {
+      const grid = grids[b];
+      const low = grid[e0 * columns + a0] + (grid[e0 * columns + a1] - grid[e0 * columns + a0]) * ta;
+      const high = grid[e1 * columns + a0] + (grid[e1 * columns + a1] - grid[e1 * columns + a0]) * ta;
+      out[band] = Math.pow(10, (low + (high - low) * te) / 20);
+    });
+    return out;
+  };
+}
@@ -0,0 +1,69 @@
+// energy-model.js
+
+// Every path type ends up on one scale: pressure relative to a point source
+// of unit power. Tracers carry energy per ray (1 at emission, times 1 − α per
+// reflection and exp(−2md) through air, m being the amplitude attenuation in
+// Np/m), and ray energy is turned into pressure once, when arrivals are
+// finalised. Deterministic paths compute pressure directly.
+
+/**
+ * Pressure reflection factor of a surface with energy absorption `absorption`.
+ * @param {number} absorption - Absorption coefficient in [0, 1].
+ * @returns {number} sqrt(1 − α).
+ */
+export function pressureReflectionFactor(absorption) {
+  return Math.sqrt(Math.max(0, 1 - absorption));
+}
+
+/**
+ * Free-field pressure at `distance` from a unit-power point source.
+ * @param {number} distance - Path length in metres.
+ * @returns {number} 1 / (sqrt(4π) d).
+ */
+export function sphericalPressure(distance) {
+  return 1 / (Math.sqrt(4 * Math.PI) * Math.max(distance, 1e-3));
+}
+
+/**
+ * Scale that turns the energy rays deliver to a receiver sphere into
+ * intensity for a unit-power source: each of `numRays` rays carries 1/N of
+ * the source power and the sphere collects over its cross-section π R².
+ * @param {number} numRays - Rays emitted by the tracer.
+ * @param {number} receiverRadius - Receiver sphere radius in metres.
+ * @returns {number}
+ */
+export function receiverEnergyScale(numRays, receiverRadius) {
+  return 1 / (Math.max(1, numRays) * Math.PI * receiverRadius * receiverRadius);
+}
+
+/**
+ * Share of the energy a surface scatters diffusely (Lambert) that lands on a
+ * receiver sphere: the cosine-weighted solid angle it subtends,
+ * 2 cos θ (1 − cos γ) with sin γ = radius / distance.
+ * @param {number} cosTheta - Cosine between the air-side surface normal and
+ *   the direction to the receiver.
+ * @param {number} distance - Distance to the receiver centre in metres.
+ * @param {number} receiverRadius - Receiver sphere radius in metres.
+ * @returns {number}
+ */
+export function diffuseRainGain(cosTheta, distance, receiverRadius) {
+  if (cosTheta <= 0) return 0;
+  const sinGamma = Math.min(1, receiverRadius / distance);
+  return Math.min(1, 2 * cosTheta * (1 - Math.sqrt(1 - sinGamma * sinGamma)));
+}
+
+/**
+ * Converts ray-energy arrivals to pressure in place. Polarities are random so
+ * that crossings landing on the same samples add up in energy rather than in
+ * pressure.
+ * @param {Array<{amplitude: number}>} arrivals - Arrivals whose `amplitude` holds ray energy.
+ * @param {number} scale - Result of receiverEnergyScale().
+ * @returns {Array<{amplitude: number}>} The same array.
+ */
+export function energyArrivalsToPressure(arrivals, scale) {
+  for (const arrival of arrivals) {
+    const pressure = Math.sqrt(Math.max(0, arrival.amplitude) * scale);
+    arrival.amplitude = Math.random() < 0.5 ? -pressure : pressure;
+  }
+  return arrivals;
+}
@@ -0,0 +1,89 @@
+// frequency-bands.js
+
+// Base-10 octave ratio from IEC 61260-1
+const OCTAVE_RATIO = Math.pow(10, 3 / 10);
+const REFERENCE_FREQUENCY = 1000;
+
+export const BAND_SETS = {
+  octave: {
+    label: 'Octave (63 Hz – 16 kHz)',
+    fraction: 1,
+    centers: [63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000]
+  },
+  thirdOctave: {
+    label: 'Third-octave (50 Hz – 20 kHz)',
+    fraction: 3,
+    centers: [
+      50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630, 800,
+      1000, 1250, 1600, 2000, 2500, 3150, 4000, 5000, 6300, 8000,
+      10000, 12500, 16000, 20000
+    ]
+  }
+};
+
+/**
+ * Nominal centre frequencies for a band set.
+ * @param {string} setId - Key of BAND_SETS.
+ * @returns {number[]} Ascending centre frequencies in Hz.
+ */
+export function getBandCenters(setId) {
+  return (BAND_SETS[setId] ?? BAND_SETS.octave).centers.slice();
+}
+
+/**
+ * Infers the bandwidth fraction (1 = octave, 3 = third-octave) from the
+ * spacing of a list of centre frequencies.
+ * @param {number[]} freqBands - Centre frequencies in Hz.
+ * @returns {number} Bands per octave.
+ */
+export function inferBandFraction(freqBands) {
+  const sorted = freqBands.map(Number).sort((a, b) => a - b);
+  if (sorted.length < 2) return 1;
+  const octavesPerBand = Math.log2(sorted[sorted.length - 1] / sorted[0]) / (sorted.length - 1);
+  return Math.max(1, Math.round(1 / octavesPerBand));
+}
+
+/**
+ * Band edges for a nominal centre frequency. The nominal value is snapped to
+ * the exact base-10 mid-band frequency before the edges are derived, so e.g.
+ * the 63 Hz octave spans 44.7–89.1 Hz.
+ * @param {number} center - Nominal centre frequency in Hz.
+ * @param {number} [fraction=1] - Bands per octave.
+ * @returns {{ low: number, center: number, high: number }} Frequencies in Hz.
+ */
+export function getBandEdges(center, fraction = 1) {
+  const step = Math.round(fraction * Math.log(center / REFERENCE_FREQUENCY) / Math.log(OCTAVE_RATIO));
+  const exactCenter = REFERENCE_FREQUENCY * Math.pow(OCTAVE_RATIO, step / fraction);
+  const halfBand = Math.pow(OCTAVE_RATIO, 1 / (2 * fraction));
+  return {
+    low: exactCenter / halfBand,
+    center: exactCenter,
+    high: exactCenter * halfBand
+  };
+}
+
+/**
+ * Maps per-band values onto another set of bands by linear interpolation on a
+ * log-frequency axis, holding the end values beyond the known range.
+ * @param {Object<number, number>} values - Known values keyed by frequency.
+ * @param {number[]} freqBands - Frequencies to produce values for.
+ * @returns {Object<number, number>} Values keyed by the requested frequencies.
+ */
+export function interpolateBandValues(values, freqBands) {
+  const points = Object.entries(values)
+    .map(([freq, value]) => [Math.log(Number(freq)), value])
+    .filter(([x, value]) => Number.isFinite(x) && Number.isFinite(value))
+    .sort((a, b) => a[0] - b[0]);
+
+  return Object.fromEntries(freqBands.map(freq => {
+    if (points.length === 0) return [freq, 0];
+    const x = Math.log(freq);
+    if (x <= points[0][0]) return [freq, points[0][1]];
+    if (x >= points[points.length - 1][0]) return [freq, points[points.length - 1][1]];
+    let i = 1;
+    while (points[i][0] < x) i++;
+    const [x0, y0] = points[i - 1];
+    const [x1, y1] = points[i];
+    return [freq, y0 + (y1 - y0) * (x - x0) / (x1 - x0)];
+  }));
+}
@@ -0,0 +1,238 @@
+// hrtf.js
+
+// Listener-frame conventions used throughout: x to the front, y to the left,
+// z up. Azimuth is measured from the front towards the left, elevation up.
+const DEG2RAD = Math.PI / 180;
+const RAD2DEG = 180 / Math.PI;
+
+// Resolution of the nearest-direction lookup table
+const LOOKUP_STEP_DEG = 2;
+
+function directionFromAngles(azimuth, elevation) {
+  const az = azimuth * DEG2RAD;
+  const el = elevation * DEG2RAD;
+  return [Math.cos(el) * Math.cos(az), Math.cos(el) * Math.sin(az), Math.sin(el)];
+}
+
+function createHRIRSet(name, sampleRate, measurements) {
+  if (measurements.length === 0) throw new Error('HRIR set has no measurements');
+  const length = measurements.reduce((max, m) => Math.max(max, m.left.length, m.right.length), 0);
+  const directions = new Float32Array(measurements.length * 3);
+  measurements.forEach((m, i) => directions.set(directionFromAngles(m.azimuth, m.elevation), i * 3));
+  return {
+    name,
+    sampleRate,
+    length,
+    directions,
+    left: measurements.map(m => Float32Array.from(m.left)),
+    right: measurements.map(m => Float32Array.from(m.right))
+  };
+}
+
+// Brown & Duda head-shadow filter (one pole, one zero) via the bilinear transform
+function headShadowResponse(incidence, sampleRate, headRadius, speedOfSound, length) {
+  const alphaMin = 0.1;
+  const thetaMin = 150 * DEG2RAD;
+  const alpha = (1 + alphaMin / 2) + (1 - alphaMin / 2) * Math.cos(incidence / thetaMin * Math.PI);
+  const beta = 2 * speedOfSound / headRadius;
+  const k = 2 * sampleRate;
+  const b0 = (alpha * k + beta) / (k + beta);
+  const b1 = (beta - alpha * k) / (k + beta);
+  const a1 = (beta - k) / (k + beta);
+
+  const response = new Float64Array(length);
+  let previousInput = 0;
+  let previousOutput = 0;
+  for (let n = 0; n < length; n++) {
+    const input = n === 0 ? 1 : 0;
+    const output = b0 * input + b1 * previousInput - a1 * previousOutput;
+    response[n] = output;
+    previousInput = input;
+    previousOutput = output;
+  }
+  return response;
+}
+
+// Woodworth path delay to an ear, shifted so the earliest ear starts at zero
+function earDelay(incidence, headRadius, speedOfSound) {
+  const delay = incidence < Math.PI / 2
+    ? -Math.cos(incidence)
+    : incidence - Math.PI / 2;
+  return (delay + 1) * headRadius / speedOfSound;
+}
+
+function delayedResponse(response, delaySamples, length) {
+  const out = new Float32Array(length);
+  const whole = Math.floor(delaySamples);
+  const fraction = delaySamples - whole;
+  for (let n = 0; n < response.length; n++) {
+    const index = n + whole;
+    if (index < length) out[index] += response[n] * (1 - fraction);
+    if (index + 1 < length) out[index + 1] += response[n] * fraction;
+  }
+  return out;
+}
+
+/**
+ * Bundled HRIR set from a spherical-head model (Brown & Duda, 1998): a
+ * Woodworth interaural delay plus a one-pole/one-zero head-shadow filter per
+ * ear. There is no pinna or torso cue, so elevation is only weakly rendered.
+ * @param {number} sampleRate - Output sample rate in Hz.
+ * @param {object} [options] - Model options.
+ * @param {number} [options.length=128] - HRIR length in samples.
+ * @param {number} [options.headRadius=0.0875] - Head radius in metres.
+ * @param {number} [options.speedOfSound=343] - Speed of sound in m/s.
+ * @param {number} [options.step=10] - Grid spacing in degrees.
+ * @returns {object} HRIR set, see parseHRIRSet().
+ */
+export function createSphericalHeadHRIRSet(sampleRate, { length = 128, headRadius = 0.0875, speedOfSound = 343, step = 10 } = {}) {
+  const measurements = [];
+  for (let elevation = -40; elevation <= 90; elevation += step) {
+    const azimuthStep = elevation === 90 ? 360 : step;
+    for (let azimuth = 0; azimuth < 360; azimuth += azimuthStep) {
+      const [, y] = directionFromAngles(azimuth, elevation);
+      // Angle between the source and each ear axis (left ear on +y)
+      const ears = [Math.acos(Math.max(-1, Math.min(1, y))), Math.acos(Math.max(-1, Math.min(1, -y)))];
+      const [left, right] = ears.map(incidence => delayedResponse(
+        headShadowResponse(incidence, sampleRate, headRadius, speedOfSound, length),
+        earDelay(incidence, headRadius, speedOfSound) * sampleRate,
+        length
+      ));
+      measurements.push({ azimuth, elevation, left, right });
+    }
+  }
+  return createHRIRSet('Spherical head model', sampleRate, measurements);
+}
+
+/**
+ * Parses an HRIR set stored inline as JSON:
+ * `{ "name": "...", "sampleRate": 48000, "measurements": [{ "azimuth": 0, "elevation": 0, "left": [...], "right": [...] }] }`.
+ * Angles are in degrees, azimuth counter-clockwise from the front.
+ * @param {string} text - JSON document.
+ * @returns {object} HRIR set.
+ */
+export function parseHRIRSet(text) {
+  const data = JSON.parse(text);
+  const sampleRate = Number(data?.sampleRate);
+  if (!Number.isFinite(sampleRate) || sampleRate <= 0) throw new Error('HRIR set needs a "sampleRate"');
+  if (!Array.isArray(data.measurements)) throw new Error('HRIR set needs a "measurements" array');
+
+  const measurements = data.measurements.map((m, i) => {
+    const valid = Number.isFinite(m?.azimuth) && Number.isFinite(m?.elevation) &&
+      Array.isArray(m.left) && Array.isArray(m.right) && m.left.length > 0 && m.right.length > 0 &&
+      m.left.every(Number.isFinite) && m.right.every(Number.isFinite);
+    if (!valid) throw new Error(`HRIR measurement ${i} needs azimuth, elevation, left and right`);
+    return m;
+  });
+  return createHRIRSet(String(data.name ?? 'Imported HRIR set'), sampleRate, measurements);
+}
+
+/**
+ * Builds an HRIR set from a JSON manifest and a stereo WAV that holds the
+ * impulse-response pairs back to back, `length` samples each, in manifest
+ * order: `{ "name": "...", "length": 256, "directions": [[azimuth, elevation], ...] }`.
+ * @param {string} manifestText - JSON manifest.
+ * @param {AudioBuffer} audioBuffer - Decoded stereo WAV (left ear, right ear).
+ * @returns {object} HRIR set.
+ */
+export function hrirSetFromWav(manifestText, audioBuffer) {
+  const manifest = JSON.parse(manifestText);
+  const length = Math.floor(Number(manifest?.length));
+  const directions = manifest?.directions;
+  if (!Number.isFinite(length) || length <= 0) throw new Error('HRIR manifest needs a "length"');
+  if (!Array.isArray(directions) || directions.length === 0) throw new Error('HRIR manifest needs "directions"');
+  if (audioBuffer.numberOfChannels < 2) throw new Error('HRIR WAV must be stereo');
+  if (audioBuffer.length < directions.length * length) {
+    throw new Error(`HRIR WAV holds ${Math.floor(audioBuffer.length / length)} of ${directions.length} responses`);
+  }
+
+  const left = audioBuffer.getChannelData(0);
+  const right = audioBuffer.getChannelData(1);
+  const measurements = directions.map(([azimuth, elevation], i) => {
+    if (!Number.isFinite(azimuth) || !Number.isFinite(elevation)) throw new Error(`Invalid HRIR direction ${i}`);
+    return {
+      azimuth,
+      elevation,
+      left: left.subarray(i * length, (i + 1) * length),
+      right: right.subarray(i * length, (i + 1) * length)
+    };
+  });
+  return createHRIRSet(String(manifest.name ?? 'Imported HRIR set'), audioBuffer.sampleRate, measurements);
+}
+
+/**
+ * Linearly resamples every response of a set to another sample rate.
+ * @param {object} set - HRIR set.
+ * @param {number} sampleRate - Target sample rate in Hz.
+ * @returns {object} The same set when the rates match, otherwise a copy.
+ */
+export function resampleHRIRSet(set, sampleRate) {
+  if (set.sampleRate === sampleRate) return set;
+  const ratio = set.sampleRate / sampleRate;
+  const length = Math.max(1, Math.round(set.length / ratio));
+  const resample = (data) => {
+    const out = new Float32Array(length);
+    for (let n = 0; n < length; n++) {
+      const position = n * ratio;
+      const i = Math.floor(position);
+      const fraction = position - i;
+      out[n] = (data[i] ?? 0) * (1 - fraction) + (data[i + 1] ?? 0) * fraction;
+    }
+    return out;
+  };
+  return { ...set, sampleRate, length, left: set.left.map(resample), right: set.right.map(resample) };
+}
+
+/**
+ * RMS gain of each ear in a diffuse field: the energy of the responses
+ * averaged over the measured directions.
+ * @param {object} set - HRIR set.
+ * @returns {number[]} Left and right gains.
+ */
+export function diffuseFieldGains(set) {
+  return [set.left, set.right].map(responses => {
+    let energy = 0;
+    for (const response of responses) {
+      for (let n = 0; n < response.length; n++) energy += response[n] * response[n];
+    }
+    return Math.sqrt(energy / responses.length);
+  });
+}
+
+/**
+ * Nearest-measurement lookup for a set, tabulated on a 2° grid so per-arrival
+ * queries are constant time.
+ * @param {object} set - HRIR set.
+ * @returns {function(number, number, number): number} Maps a unit direction in
+ *   the listener frame to a measurement index.
+ */
+export function createHRIRLookup(set) {
+  const columns = Math.round(360 / LOOKUP_STEP_DEG);
+  const rows = Math.round(180 / LOOKUP_STEP_DEG) + 1;
+  const table = new Uint16Array(columns * rows);
+  const count = set.directions.length / 3;
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const [x, y, z] = directionFromAngles(column * LOOKUP_STEP_DEG, row * LOOKUP_STEP_DEG - 90);
+      let best = 0;
+      let bestDot = -Infinity;
+      for (let i = 0; i < count; i++) {
+        const dot = x * set.directions[i * 3] + y * set.directions[i * 3 + 1] + z * set.directions[i * 3 + 2];
+        if (dot > bestDot) {
+          bestDot = dot;
+          best = i;
+        }
+      }
+      table[row * columns + column] = best;
+    }
+  }
+
+  return (x, y, z) => {
+    const azimuth = (Math.atan2(y, x) * RAD2DEG + 360) % 360;
+    const elevation = Math.asin(Math.max(-1, Math.min(1, z))) * RAD2DEG;
+    const column = Math.round(azimuth / LOOKUP_STEP_DEG) % columns;
+    const row = Math.round((elevation + 90) / LOOKUP_STEP_DEG);
+    return table[row * columns + column];
+  };
+}
@@ -0,0 +1,468 @@
+// image-source.js
+
+import * as THREE from 'three';
+import { INTERSECTED, NOT_INTERSECTED } from 'three-mesh-bvh';
+import { pressureReflectionFactor, sphericalPressure } from './energy-model.js';
+
+const EPSILON = 1e-6;
+const SURFACE_OFFSET = 1e-3;
+
+/**
+ * Reads every triangle of an indexed, BVH-backed geometry into flat arrays.
+ * Normals are oriented to point out of the room so that "inside" is the
+ * negative half-space of each plane.
+ * @param {THREE.BufferGeometry} geometry - Room geometry with a boundsTree.
+ * @returns {{ count: number, vertices: Float64Array, normals: Float64Array }}
+ */
+export function readTriangles(geometry) {
+  const position = geometry.attributes.position;
+  const index = geometry.index;
+  const count = index ? index.count / 3 : position.count / 3;
+  const vertices = new Float64Array(count * 9);
+  const normals = new Float64Array(count * 3);
+
+  let signedVolume = 0;
+  for (let t = 0; t < count; t++) {
+    for (let k = 0; k < 3; k++) {
+      const vi = index ? index.getX(t * 3 + k) : t * 3 + k;
+      vertices[t * 9 + k * 3] = position.getX(vi);
+      vertices[t * 9 + k * 3 + 1] = position.getY(vi);
+      vertices[t * 9 + k * 3 + 2] = position.getZ(vi);
+    }
+    const o = t * 9;
+    const e1x = vertices[o + 3] - vertices[o], e1y = vertices[o + 4] - vertices[o + 1], e1z = vertices[o + 5] - vertices[o + 2];
+    const e2x = vertices[o + 6] - vertices[o], e2y = vertices[o + 7] - vertices[o + 1], e2z = vertices[o + 8] - vertices[o + 2];
+    let nx = e1y * e2z - e1z * e2y;
+    let ny = e1z * e2x - e1x * e2z;
+    let nz = e1x * e2y - e1y * e2x;
+    signedVolume += vertices[o] * nx + vertices[o + 1] * ny + vertices[o + 2] * nz;
+    const length = Math.hypot(nx, ny, nz) || 1;
+    normals[t * 3] = nx / length;
+    normals[t * 3 + 1] = ny / length;
+    normals[t * 3 + 2] = nz / length;
+  }
+
+  // Inward-wound meshes have a negative signed volume; flip so normals face out
+  if (signedVolume < 0) {
+    for (let i = 0; i < normals.length; i++) normals[i] = -normals[i];
+  }
+
+  return { count, vertices, normals };
+}
+
+export function signedPlaneDistance(tris, t, x, y, z) {
+  const o = t * 9;
+  const n = t * 3;
+  return (x - tris.vertices[o]) * tris.normals[n] +
+    (y - tris.vertices[o + 1]) * tris.normals[n + 1] +
+    (z - tris.vertices[o + 2]) * tris.normals[n + 2];
+}
+
+/**
+ * Tests whether a sphere lies (at least partly) inside a cone.
+ */
+export function sphereIntersectsCone(apex, axis, cosHalfAngle, sinHalfAngle, cx, cy, cz, radius) {
+  const vx = cx - apex.x, vy = cy - apex.y, vz = cz - apex.z;
+  const distance = Math.sqrt(vx * vx + vy * vy + vz * vz);
+  if (distance <= radius) return true;
+  const cosAngle = (vx * axis.x + vy * axis.y + vz * axis.z) / distance;
+  const sinAngle = Math.sqrt(Math.max(0, 1 - cosAngle * cosAngle));
+  // Widen the cone by the angular radius of the sphere
+  const sinSphere = Math.min(1, radius / distance);
+  const cosSphere = Math.sqrt(1 - sinSphere * sinSphere);
+  const cosLimit = cosHalfAngle * cosSphere - sinHalfAngle * sinSphere;
+  if (cosAngle >= cosLimit) return true;
+  return sinAngle < EPSILON && cosAngle > 0;
+}
+
+/**
+ * Cone cast from an (image) source through one triangle, widened slightly so
+ * that paths through the triangle's edges stay inside.
+ * @param {object} tris - Triangle data from readTriangles().
+ * @param {number} t - Triangle index.
+ * @param {THREE.Vector3} apex - Cone apex.
+ * @param {THREE.Vector3} axis - Receives the unit cone axis.
+ * @returns {{ cosHalfAngle: number, sinHalfAngle: number }}
+ */
+export function triangleBeam(tris, t, apex, axis) {
+  const o = t * 9;
+  const v = tris.vertices;
+  axis.set(
+    (v[o] + v[o + 3] + v[o + 6]) / 3,
+    (v[o + 1] + v[o + 4] + v[o + 7]) / 3,
+    (v[o + 2] + v[o + 5] + v[o + 8]) / 3
+  ).sub(apex).normalize();
+
+  let cosHalfAngle = 1;
+  for (let k = 0; k < 3; k++) {
+    const x = v[o + k * 3] - apex.x, y = v[o + k * 3 + 1] - apex.y, z = v[o + k * 3 + 2] - apex.z;
+    const length = Math.hypot(x, y, z);
+    if (length > EPSILON) cosHalfAngle = Math.min(cosHalfAngle, (x * axis.x + y * axis.y + z * axis.z) / length);
+  }
+  cosHalfAngle = Math.max(-1, cosHalfAngle - 1e-4);
+  return { cosHalfAngle, sinHalfAngle: Math.sqrt(1 - cosHalfAngle * cosHalfAngle) };
+}
+
+/**
+ * Builds the tree of image sources for a point source inside a closed room
+ * mesh, up to the given reflection order. Higher orders only consider
+ * triangles that fall inside the beam cast from the parent image through its
+ * reflecting triangle, found with a BVH shapecast.
+ * @param {THREE.BufferGeometry} geometry - Room geometry with a boundsTree.
+ * @param {{x: number, y: number, z: number}} sourcePosition - Real source position.
+ * @param {number} maxOrder - Highest reflection order to generate.
+ * @param {object} [options={}] - Optional limits.
+ * @param {number} [options.maxImages=200000] - Stop generating once this many images exist.
+ * @param {number} [options.maxDistance=Infinity] - Discard images farther than this from the
+ *   room's bounding box; no path through them (or their children) can be shorter.
+ * @returns {object} Image-source set for use with findImageSourcePaths().
+ */
+export function buildImageSources(geometry, sourcePosition, maxOrder, options = {}) {
+  const { maxImages = 200000, maxDistance = Infinity } = options;
+  const bvh = geometry.boundsTree;
+  if (!bvh) throw new Error('Image-source method requires a geometry with a boundsTree.');
+  const roomBounds = bvh.getBoundingBox(new THREE.Box3());
+  const imagePoint = new THREE.Vector3();
+
+  const tris = readTriangles(geometry);
+  const capacity = Math.max(1, maxImages);
+  const positions = new Float64Array(capacity * 3);
+  const triangles = new Int32Array(capacity);
+  const parents = new Int32Array(capacity);
+  const orders = new Uint8Array(capacity);
+  let count = 0;
+  let truncated = false;
+
+  const addImage = (x, y, z, t, parent, order) => {
+    if (count >= capacity) {
+      truncated = true;
+      return false;
+    }
+    positions[count * 3] = x;
+    positions[count * 3 + 1] = y;
+    positions[count * 3 + 2] = z;
+    triangles[count] = t;
+    parents[count] = parent;
+    orders[count] = order;
+    count++;
+    return true;
+  };
+
+  const reflectInto = (x, y, z, t, parent, order) => {
+    const d = signedPlaneDistance(tris, t, x, y, z);
+    // The (image) source has to be on the room side of the reflecting plane
+    if (d >= -EPSILON) return true;
+    const n = t * 3;
+    imagePoint.set(
+      x - 2 * d * tris.normals[n],
+      y - 2 * d * tris.normals[n + 1],
+      z - 2 * d * tris.normals[n + 2]
+    );
+    if (roomBounds.distanceToPoint(imagePoint) > maxDistance) return true;
+    return addImage(imagePoint.x, imagePoint.y, imagePoint.z, t, parent, order);
+  };
+
+  if (maxOrder >= 1) {
+    for (let t = 0; t < tris.count; t++) {
+      if (!reflectInto(sourcePosition.x, sourcePosition.y, sourcePosition.z, t, -1, 1)) break;
+    }
+  }
+
+  const apex = new THREE.Vector3();
+  const axis = new THREE.Vector3();
+  const center = new THREE.Vector3();
+  const size = new THREE.Vector3();
+  const candidates = [];
+
+  let levelStart = 0;
+  for (let order = 2; order <= maxOrder && !truncated; order++) {
+    const levelEnd = count;
+    for (let parent = levelStart; parent < levelEnd && !truncated; parent++) {
+      const p = triangles[parent];
+      apex.set(positions[parent * 3], positions[parent * 3 + 1], positions[parent * 3 + 2]);
+      const { cosHalfAngle, sinHalfAngle } = triangleBeam(tris, p, apex, axis);
+
+      candidates.length = 0;
+      bvh.shapecast({
+        intersectsBounds: (box) => {
+          // Any path through this box already travels at least this far from the image
+          if (box.distanceToPoint(apex) > maxDistance) return NOT_INTERSECTED;
+          box.getCenter(center);
+          const radius = box.getSize(size).length() * 0.5;
+          return sphereIntersectsCone(apex, axis, cosHalfAngle, sinHalfAngle, center.x, center.y, center.z, radius)
+            ? INTERSECTED
+            : NOT_INTERSECTED;
+        },
+        intersectsTriangle: (triangle, t) => {
+          if (t === p) return false;
+          const o = t * 9;
+          // Only triangles beyond the parent's plane can be reached through it
+          let beyond = false;
+          for (let k = 0; k < 3 && !beyond; k++) {
+            beyond = signedPlaneDistance(tris, p, tris.vertices[o + k * 3], tris.vertices[o + k * 3 + 1], tris.vertices[o + k * 3 + 2]) < -EPSILON;
+          }
+          if (!beyond) return false;
+
+          const cx = (tris.vertices[o] + tris.vertices[o + 3] + tris.vertices[o + 6]) / 3;
+          const cy = (tris.vertices[o + 1] + tris.vertices[o + 4] + tris.vertices[o + 7]) / 3;
+          const cz = (tris.vertices[o + 2] + tris.vertices[o + 5] + tris.vertices[o + 8]) / 3;
+          let radius = 0;
+          for (let k = 0; k < 3; k++) {
+            radius = Math.max(radius, Math.hypot(tris.vertices[o + k * 3] - cx, tris.vertices[o + k * 3 + 1] - cy, tris.vertices[o + k * 3 + 2] - cz));
+          }
+          if (sphereIntersectsCone(apex, axis, cosHalfAngle, sinHalfAngle, cx, cy, cz, radius)) {
+            candidates.push(t);
+          }
+          return false;
+        }
+      });
+
+      for (const t of candidates) {
+        if (!reflectInto(apex.x, apex.y, apex.z, t, parent, order)) break;
+      }
+    }
+    levelStart = levelEnd;
+  }
+
+  return {
+    source: new THREE.Vector3(sourcePosition.x, sourcePosition.y, sourcePosition.z),
+    maxOrder,
+    count,
+    truncated,
+    positions,
+    triangles,
+    parents,
+    orders,
+    tris
+  };
+}
+
+function pointInTriangle(tris, t, x, y, z) {
+  const o = t * 9;
+  const v = tris.vertices;
+  const v0x = v[o + 6] - v[o], v0y = v[o + 7] - v[o + 1], v0z = v[o + 8] - v[o + 2];
+  const v1x = v[o + 3] - v[o], v1y = v[o + 4] - v[o + 1], v1z = v[o + 5] - v[o + 2];
+  const v2x = x - v[o], v2y = y - v[o + 1], v2z = z - v[o + 2];
+  const d00 = v0x * v0x + v0y * v0y + v0z * v0z;
+  const d01 = v0x * v1x + v0y * v1y + v0z * v1z;
+  const d02 = v0x * v2x + v0y * v2y + v0z * v2z;
+  const d11 = v1x * v1x + v1y * v1y + v1z * v1z;
+  const d12 = v1x * v2x + v1y * v2y + v1z * v2z;
+  const denom = d00 * d11 - d01 * d01;
+  if (Math.abs(denom) < EPSILON * EPSILON) return false;
+  const u = (d11 * d02 - d01 * d12) / denom;
+  const w = (d00 * d12 - d01 * d02) / denom;
+  const tolerance = 1e-5;
+  return u >= -tolerance && w >= -tolerance && u + w <= 1 + tolerance;
+}
+
+/**
+ * Segment visibility test against the room BVH. The ends are pulled in by a
+ * millimetre so points lying on the surface do not occlude themselves.
+ * @param {THREE.BufferGeometry} geometry - BVH-backed room geometry.
+ * @returns {function(THREE.Vector3, THREE.Vector3): boolean} True when the
+ *   segment between the two points is blocked.
+ */
+export function createOcclusionTest(geometry) {
+  const bvh = geometry.boundsTree;
+  const ray = new THREE.Ray();
+  return (from, to) => {
+    const length = from.distanceTo(to);
+    if (length <= 2 * SURFACE_OFFSET) return false;
+    ray.origin.copy(from);
+    ray.direction.copy(to).sub(from).divideScalar(length);
+    return !!bvh.raycastFirst(ray, THREE.DoubleSide, SURFACE_OFFSET, length - SURFACE_OFFSET);
+  };
+}
+
+/**
+ * Unfolds the specular path from the real source through the reflections of
+ * image `i` to `target`. Each reflection point must fall inside its triangle
+ * and every leg must be unobstructed.
+ * @param {object} imageSources - Result of buildImageSources().
+ * @param {number} i - Image index.
+ * @param {THREE.Vector3} target - End point of the path.
+ * @param {function} isOccluded - Result of createOcclusionTest().
+ * @returns {?{ triangles: number[], points: THREE.Vector3[] }} Triangles in
+ *   the order the sound meets them and reflection points in reverse order
+ *   (nearest the target first), or null when the path is invalid.
+ */
+export function traceImagePath(imageSources, i, target, isOccluded) {
+  const { tris, positions, triangles, parents, source } = imageSources;
+  const image = new THREE.Vector3();
+  let end = target;
+  const chain = [];
+  const points = [];
+
+  for (let node = i; node !== -1; node = parents[node]) {
+    const t = triangles[node];
+    image.set(positions[node * 3], positions[node * 3 + 1], positions[node * 3 + 2]);
+
+    // Intersect the image -> end segment with the reflecting plane
+    const dImage = signedPlaneDistance(tris, t, image.x, image.y, image.z);
+    const dEnd = signedPlaneDistance(tris, t, end.x, end.y, end.z);
+    if (dImage <= 0 || dEnd >= 0) return null;
+    const point = image.clone().lerp(end, dImage / (dImage - dEnd));
+
+    if (!pointInTriangle(tris, t, point.x, point.y, point.z) || isOccluded(point, end)) return null;
+
+    chain.push(t);
+    points.push(point);
+    end = point;
+  }
+
+  if (isOccluded(source, end)) return null;
+  return { triangles: chain.reverse(), points };
+}
+
+/**
+ * Validates every image source against a receiver position and returns the
+ * specular paths that actually reach it. Each reflection point must fall
+ * inside its triangle and every leg must be unobstructed (checked with the BVH).
+ * @param {object} imageSources - Result of buildImageSources().
+ * @param {THREE.BufferGeometry} geometry - The same BVH-backed room geometry.
+ * @param {{x: number, y: number, z: number}} receiverPosition - Receiver centre.
+ * @param {number} [maxOrder=imageSources.maxOrder] - Ignore images above this order.
+ * @returns {Array<{distance: number, order: number, triangles: number[], direction: THREE.Vector3, arrivalDirection: THREE.Vector3}>}
+ *   Valid paths, with triangles listed in the order the sound meets them, the
+ *   unit direction the sound leaves the source in and the unit direction it
+ *   arrives from (pointing away from the receiver). The direct path is
+ *   included as order 0 when the source is visible.
+ */
+export function findImageSourcePaths(imageSources, geometry, receiverPosition, maxOrder = imageSources.maxOrder) {
+  const { positions, orders, count, source } = imageSources;
+  const receiver = new THREE.Vector3(receiverPosition.x, receiverPosition.y, receiverPosition.z);
+  const image = new THREE.Vector3();
+  const isOccluded = createOcclusionTest(geometry);
+  const paths = [];
+  // A reflection point on an edge shared by two triangles validates twice
+  const seen = new Set();
+
+  if (!isOccluded(source, receiver)) {
+    paths.push({
+      distance: source.distanceTo(receiver),
+      order: 0,
+      triangles: [],
+      direction: receiver.clone().sub(source).normalize(),
+      arrivalDirection: source.clone().sub(receiver).normalize()
+    });
+  }
+
+  for (let i = 0; i < count; i++) {
+    if (orders[i] > maxOrder) continue;
+    const path = traceImagePath(imageSources, i, receiver, isOccluded);
+    if (!path) continue;
+    const key = path.points.map(p => `${p.x.toFixed(3)},${p.y.toFixed(3)},${p.z.toFixed(3)};`).join('');
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    image.set(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+    // Points run from the receiver back to the source
+    const first = path.points[path.points.length - 1];
+    paths.push({
+      distance: image.distanceTo(receiver),
+      order: orders[i],
+      triangles: path.triangles,
+      direction: first.clone().sub(source).normalize(),
+      arrivalDirection: path.points[0].clone().sub(receiver).normalize()
+    });
+  }
+
+  return paths.sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Converts validated image-source paths into per-band arrivals.
+ * @param {Array} paths - Result of findImageSourcePaths().
+ * @param {object} options - Conversion options.
+ * @param {number[]} options.freqBands - Band centre frequencies.
+ * @param {function(number, number): number} options.reflectionFactor - Pressure factor for
+ *   a reflection off triangle `t` in band `freq`.
+ * @param {function(number): number} options.distanceGain - Pressure for a path of the given length.
+ * @param {number} options.speedOfSound - Speed of sound in m/s.
+ * @param {Object<number, number>} [options.airAttenuation={}] - Air attenuation per band in Np/m.
+ * @param {?function} [options.sourceDirectivity=null] - Directivity lookup from
+ *   createDirectivity(), applied along each path's emission direction.
+ * @returns {Object<number, Array<{time: number, amplitude: number, direction: THREE.Vector3}>>}
+ *   Arrivals keyed by band; bands of one path share the arrival direction.
+ */
+export function imageSourceArrivalsByBand(paths, {
+  freqBands,
+  reflectionFactor,
+  distanceGain,
+  speedOfSound,
+  airAttenuation = {},
+  sourceDirectivity = null
+}) {
+  const arrivalsByBand = Object.fromEntries(freqBands.map(freq => [freq, []]));
+  const sourceGains = {};
+  for (const path of paths) {
+    const time = path.distance / speedOfSound;
+    const gain = distanceGain(path.distance);
+    if (sourceDirectivity) sourceDirectivity(path.direction, sourceGains);
+    for (const freq of freqBands) {
+      let amplitude = gain * Math.exp(-(airAttenuation[freq] ?? 0) * path.distance);
+      if (sourceDirectivity) amplitude *= sourceGains[freq];
+      for (const t of path.triangles) amplitude *= reflectionFactor(t, freq);
+      arrivalsByBand[freq].push({ time, amplitude, direction: path.arrivalDirection });
+    }
+  }
+  return arrivalsByBand;
+}
+
+/**
+ * Runs the receiver-dependent half of the image-source method: validates the
+ * paths for one receiver and converts them to per-band pressure arrivals
+ * using the absorption of each surface the path reflects off.
+ * @param {object} imageSources - Result of buildImageSources().
+ * @param {THREE.BufferGeometry} geometry - The same BVH-backed room geometry.
+ * @param {{x: number, y: number, z: number}} receiverPosition - Receiver centre.
+ * @param {object} options - Conversion options.
+ * @param {Array<number|string>} options.freqBands - Band keys to produce arrivals for.
+ * @param {function(number, number|string): number} options.absorption - Absorption
+ *   coefficient of triangle `t` in band `freq`.
+ * @param {number} options.speedOfSound - Speed of sound in m/s.
+ * @param {Object<string, number>} [options.airAttenuation] - Air attenuation per band key in Np/m.
+ * @param {?function} [options.sourceDirectivity] - Directivity lookup from createDirectivity().
+ * @param {number} [options.maxOrder] - Ignore images above this order, for trees
+ *   built deeper for another consumer.
+ * @returns {{ pathCount: number, arrivalsByBand: Object<string, Array<{time: number, amplitude: number}>> }}
+ */
+export function computeImageSourceArrivals(imageSources, geometry, receiverPosition, {
+  freqBands,
+  absorption,
+  speedOfSound,
+  airAttenuation,
+  sourceDirectivity,
+  maxOrder
+}) {
+  const paths = findImageSourcePaths(imageSources, geometry, receiverPosition, maxOrder);
+  const arrivalsByBand = imageSourceArrivalsByBand(paths, {
+    freqBands,
+    reflectionFactor: (t, freq) => pressureReflectionFactor(absorption(t, freq)),
+    distanceGain: sphericalPressure,
+    speedOfSound,
+    airAttenuation,
+    sourceDirectivity
+  });
+  return { pathCount: paths.length, arrivalsByBand };
+}
+
+/**
+ * Replaces the early part of a ray-traced response with image-source arrivals.
+ * Traced arrivals before the crossover time are dropped, image-source arrivals
+ * after it are ignored, and the two sets are joined in place.
+ * @param {Array<{time: number}>} tracedArrivals - Ray-traced arrivals for one band (mutated).
+ * @param {Array<{time: number}>} imageArrivals - Image-source arrivals for the same band.
+ * @param {number} crossoverTime - Hand-over time in seconds.
+ * @returns {Array<{time: number}>} The merged arrivals (same array as tracedArrivals).
+ */
+export function mergeEarlyArrivals(tracedArrivals, imageArrivals, crossoverTime) {
+  const late = tracedArrivals.filter(arrival => arrival.time >= crossoverTime);
+  tracedArrivals.length = 0;
+  imageArrivals.forEach(arrival => {
+    if (arrival.time < crossoverTime) tracedArrivals.push(arrival);
+  });
+  tracedArrivals.push(...late);
+  return tracedArrivals;
+}
@@ -0,0 +1,63 @@
+// ir-normalization.js
+
+import { sphericalPressure } from './energy-model.js';
+
+const PEAK_HEADROOM = 0.98;
+// RMS target over the whole IR, low enough that the direct sound rarely clips
+const RMS_TARGET = Math.pow(10, -36 / 20);
+// Absolute scale: free-field sound 1 m from the source lands at -6 dBFS
+const ENERGY_REFERENCE_GAIN = 0.5 / sphericalPressure(1);
+
+export const IR_NORMALIZATION_MODES = {
+  peak: { label: 'Peak' },
+  rms: { label: 'RMS' },
+  energy: { label: 'Absolute energy' }
+};
+
+function peakOf(channels) {
+  let peak = 0;
+  for (const data of channels) {
+    for (let i = 0; i < data.length; i++) peak = Math.max(peak, Math.abs(data[i]));
+  }
+  return peak;
+}
+
+function rmsOf(channels) {
+  let sum = 0;
+  let count = 0;
+  for (const data of channels) {
+    for (let i = 0; i < data.length; i++) sum += data[i] * data[i];
+    count += data.length;
+  }
+  return count > 0 ? Math.sqrt(sum / count) : 0;
+}
+
+/**
+ * Applies one gain to every channel of an impulse response whose samples are
+ * pressures on the unit-power scale of energy-model.js.
+ * - `peak`: the loudest sample sits just below full scale.
+ * - `rms`: the RMS over all channels reaches a fixed level, so rooms are
+ *   heard at matched loudness.
+ * - `energy`: a fixed calibration shared by every IR, so a live room stays
+ *   louder than a dead one. Samples may exceed full scale.
+ * @param {Float32Array[]} channels - Channel data, scaled in place.
+ * @param {string} [mode='peak'] - Key of IR_NORMALIZATION_MODES.
+ * @returns {{gain: number, peak: number}} Applied gain and resulting peak.
+ */
+export function normalizeImpulseResponse(channels, mode = 'peak') {
+  let gain = 1;
+  if (mode === 'energy') {
+    gain = ENERGY_REFERENCE_GAIN;
+  } else if (mode === 'rms') {
+    const rms = rmsOf(channels);
+    gain = rms > 0 ? RMS_TARGET / rms : 1;
+  } else {
+    const peak = peakOf(channels);
+    gain = peak > 0 ? PEAK_HEADROOM / peak : 1;
+  }
+
+  for (const data of channels) {
+    for (let i = 0; i < data.length; i++) data[i] *= gain;
+  }
+  return { gain, peak: peakOf(channels) };
+}
@@ -0,0 +1,139 @@
+// late-tail.js
+
+// The ray-radiosity histogram only gives the energy envelope of the late
+// tail; these are the ways of turning it into a signal. Poisson pulses are
+// drawn when the simulation finishes, the noise modes are drawn band by band
+// when the IR is rendered since they would be too large to keep.
+export const TAIL_MODES = {
+  poisson: { label: 'Poisson pulses' },
+  noise: { label: 'Shaped noise' },
+  velvet: { label: 'Velvet noise' }
+};
+
+// Pulses per second of velvet noise; around 2000 it is heard as smooth noise
+const VELVET_DENSITY = 2000;
+
+/**
+ * Scales a ray-radiosity histogram to pressure² per bin, dropping bins at or
+ * below the energy threshold as the pulse synthesis does.
+ * @param {Float32Array} histogram - Ray energy per bin.
+ * @param {number} minEnergy - Threshold on the raw histogram values.
+ * @param {number} scale - See receiverEnergyScale().
+ * @returns {Float32Array}
+ */
+export function tailEnvelope(histogram, minEnergy, scale) {
+  return histogram.map(energy => (energy > minEnergy ? energy * scale : 0));
+}
+
+/**
+ * Start of the tail: the first bin holding more than `minEnergy`.
+ * @param {ArrayLike<number>} histogram - Energy per bin.
+ * @param {number} binSize - Bin width in seconds.
+ * @param {number} [minEnergy=0] - Threshold on the histogram values.
+ * @returns {number} Time in seconds; Infinity for an empty histogram.
+ */
+export function tailOnset(histogram, binSize, minEnergy = 0) {
+  for (let i = 0; i < histogram.length; i++) {
+    if (histogram[i] > minEnergy) return i * binSize;
+  }
+  return Infinity;
+}
+
+/**
+ * Energy gain that fades the tail in over the early part: a raised cosine
+ * from 0 at the onset to 1 `crossfade` seconds later.
+ * @param {number} time - Time in seconds.
+ * @param {number} onset - See tailOnset().
+ * @param {number} crossfade - Crossfade length in seconds; 0 disables it.
+ * @returns {number}
+ */
+export function tailFadeIn(time, onset, crossfade) {
+  if (crossfade <= 0) return 1;
+  const x = Math.min(1, Math.max(0, (time - onset) / crossfade));
+  return 0.5 - 0.5 * Math.cos(Math.PI * x);
+}
+
+/**
+ * Fades the early arrivals out under the tail with the complement of
+ * tailFadeIn(), so the two energy gains sum to one across the window. Past
+ * the window the tail carries the response alone.
+ * @param {Array<{time: number, amplitude: number}>} arrivals - Pressure
+ *   arrivals; amplitudes are scaled in place.
+ * @param {number} onset - See tailOnset().
+ * @param {number} crossfade - Crossfade length in seconds; 0 disables it.
+ * @returns {Array} The arrivals that are still heard.
+ */
+export function crossfadeEarlyArrivals(arrivals, onset, crossfade) {
+  if (crossfade <= 0) return arrivals;
+  return arrivals.filter(arrival => {
+    const gain = 1 - tailFadeIn(arrival.time, onset, crossfade);
+    arrival.amplitude *= Math.sqrt(gain);
+    return gain > 0;
+  });
+}
+
+// Energy per second at `time`, interpolated linearly between bin centres
+function densityAt(envelope, binSize, time) {
+  const position = time / binSize - 0.5;
+  const i = Math.floor(position);
+  const fraction = position - i;
+  const before = i >= 0 && i < envelope.length ? envelope[i] : 0;
+  const after = i + 1 < envelope.length ? envelope[i + 1] : 0;
+  return (before + (after - before) * fraction) / binSize;
+}
+
+function gaussian(random) {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Gaussian noise shaped by the square root of the envelope, rendered straight
+ * into samples: each sample's variance follows the interpolated energy density.
+ * @param {Float32Array} envelope - Pressure² per bin, see tailEnvelope().
+ * @param {number} binSize - Bin width in seconds.
+ * @param {number} sampleRate - Sample rate of the result in Hz.
+ * @param {number} crossfade - Fade-in length in seconds.
+ * @param {function(): number} [random=Math.random] - Uniform samples in [0, 1).
+ * @returns {Float32Array} Samples from time 0 to the end of the envelope.
+ */
+export function renderNoiseTail(envelope, binSize, sampleRate, crossfade, random = Math.random) {
+  const samples = new Float32Array(Math.ceil(envelope.length * binSize * sampleRate));
+  const onset = tailOnset(envelope, binSize);
+  if (!Number.isFinite(onset)) return samples;
+
+  const first = Math.floor(Math.max(0, onset - binSize / 2) * sampleRate);
+  for (let n = first; n < samples.length; n++) {
+    const time = n / sampleRate;
+    const power = densityAt(envelope, binSize, time) * tailFadeIn(time, onset, crossfade) / sampleRate;
+    if (power > 0) samples[n] = gaussian(random) * Math.sqrt(power);
+  }
+  return samples;
+}
+
+/**
+ * Velvet noise shaped by the envelope: one pulse of random sign at a random
+ * position in every 1 / VELVET_DENSITY seconds, carrying that period's energy.
+ * Smoother than Poisson pulses at a fraction of the arrivals of full noise.
+ * @param {Float32Array} envelope - Pressure² per bin, see tailEnvelope().
+ * @param {number} binSize - Bin width in seconds.
+ * @param {number} crossfade - Fade-in length in seconds.
+ * @param {function(): number} [random=Math.random] - Uniform samples in [0, 1).
+ * @returns {Array<{time: number, amplitude: number}>}
+ */
+export function synthesizeVelvetTail(envelope, binSize, crossfade, random = Math.random) {
+  const onset = tailOnset(envelope, binSize);
+  const arrivals = [];
+  if (!Number.isFinite(onset)) return arrivals;
+
+  const period = 1 / VELVET_DENSITY;
+  const first = Math.floor(Math.max(0, onset - binSize / 2) / period);
+  const last = Math.ceil(envelope.length * binSize / period);
+  for (let k = first; k < last; k++) {
+    const time = (k + random()) * period;
+    const energy = densityAt(envelope, binSize, time) * tailFadeIn(time, onset, crossfade) * period;
+    const sign = random() < 0.5 ? -1 : 1;
+    if (energy > 0) arrivals.push({ time, amplitude: sign * Math.sqrt(energy) });
+  }
+  return arrivals;
+}
@@ -10,6 +10,34 @@ import TimelinePlugin from 'wavesurfer.js/dist/plugins/timeline.esm.js';
 import { createAmplitudeMeter } from './amplitude-meter.js';
 import { EnvelopeFollower } from './envelope-follower.js';
 import { initLogSlider } from './log-slider.js';
+import { buildImageSources, computeImageSourceArrivals, createOcclusionTest, mergeEarlyArrivals } from './image-source.js';
+import { computeDiffractionArrivals } from './diffraction.js';
+import { createWorkerPool, defaultPoolSize, mergeTraces, splitRayRanges, traceTransferables } from './worker-pool.js';
+import { airAttenuationCoefficients, speedOfSoundInAir } from './atmosphere.js';
+import { energyRatioFromDb, rayEnergy, russianRoulette } from './ray-termination.js';
+import { isInsideMesh } from './room-bounds.js';
+import { DIRECTION_SAMPLERS, createDirectionSampler, earlyEnergy, energySpread, randomRotation } from './ray-sampling.js';
+import { diffuseRainGain, energyArrivalsToPressure, receiverEnergyScale } from './energy-model.js';
+import { IR_NORMALIZATION_MODES, normalizeImpulseResponse } from './ir-normalization.js';
+import { designCrossoverFilterbank, filterbankResponse } from './crossover.js';
+import { ARRIVAL_PLACEMENTS, OVERSAMPLING_FACTORS, createArrivalPlacer, decimate } from './arrival-placement.js';
+import { TAIL_MODES, crossfadeEarlyArrivals, renderNoiseTail, synthesizeVelvetTail, tailEnvelope, tailOnset } from './late-tail.js';
+import { CAPSULE_SIDES, MIC_ARRAY_PRESETS, capsuleDiffuseGain, capsuleGain, capsuleId, capsuleParentId, layoutArrayCapsules } from './mic-arrays.js';
+import { createHRIRLookup, createSphericalHeadHRIRSet, diffuseFieldGains, hrirSetFromWav, parseHRIRSet, resampleHRIRSet } from './hrtf.js';
+import { assignPulseDirections, binMeanDirection, createListenerFrame, decodeFirstOrderToStereo, encodeFirstOrder } from './ambisonics.js';
+import { DIRECTIVITY_PATTERNS, aimDirection, createDirectivity, parseDirectivityBalloon } from './directivity.js';
+import { BAND_SETS, getBandCenters, interpolateBandValues } from './frequency-bands.js';
+import {
+    MATERIAL_LIBRARY,
+    MAX_MATERIAL_SLOTS,
+    SURFACE_REGIONS,
+    assignSurfaceMaterials,
+    parseMaterialSet,
+    resolveMaterial,
+    sampleReflectionBranch,
+    serializeMaterialSet,
+    writeMaterialAttribute
+} from './materials.js';
 
 import { createNoise3D } from 'simplex-noise';
 import seedrandom from 'seedrandom';
@@ -32,9 +60,19 @@ THREE.Mesh.prototype.raycast = acceleratedRaycast;
 const CONFIG = {
     CANVAS_TARGET_ID: 'threeViewport',
     INITIAL_CAMERA_DISTANCE: 35,
-    DEFAULT_MAX_BOUNCES: 100,
-    SPEED_OF_SOUND: 343,
-    EMITTER_RADIUS: 0.5,
+    // Safety cap only; rays normally end through energy termination
+    DEFAULT_MAX_BOUNCES: 1000,
+    MAX_VISUALIZED_BOUNCES: 100,
+    TERMINATION: {
+        thresholdDb: 60
+    },
+    ATMOSPHERE: {
+        temperature: 20,    // °C
+        humidity: 50,       // % relative
+        pressure: 101.325   // kPa
+    },
+    SOURCE_RADIUS: 0.3,
+    RECEIVER_RADIUS: 0.5,
     RAY_RADIOSITY: {
         enabled: true,
         scatteringCoeff: 0.3,
@@ -43,40 +81,80 @@ const CONFIG = {
         hybridBounceThreshold: 3,
         poissonDensity: 22,
         minEnergyThreshold: 1e-9,
-        diffuseGain: 1.6
+        diffuseGain: 1.6,
+        pulseDirections: 'surface',
+        tailMode: 'poisson',
+        crossfadeTime: 0.02
+    },
+    IMAGE_SOURCE: {
+        enabled: true,
+        maxOrder: 2,
+        crossoverTime: 0.08
+    },
+    DIFFRACTION: {
+        enabled: true,
+        maxOrder: 1,
+        minAngle: 30
+    },
+    // Each sampler is traced this many times; early energy ends with the C80 window
+    SAMPLER_COMPARISON: {
+        runs: 5,
+        earlyWindow: 0.08
     },
     DEFAULTS: {
         randomSeed: 'nmz6kp.6n',
+        bandSet: 'octave',
         baseRadius: 15,
         noiseFrequency: 0.2,
         noiseAmplitude: 5,
-        absorption: {
-            200: 0.15,
-            800: 0.2,
-            3200: 0.25,
-            10000: 0.3
-        },
+        sourcePosition: { x: -5, y: 0, z: 0 },
+        directivity: { pattern: 'omni', azimuth: 0, elevation: 0 },
+        receivers: [
+            { id: 'R1', position: { x: 5, y: 0, z: 0 } }
+        ],
+        wallMaterial: 'blobDefault',
         numRays: 15000,
+        raySampler: 'random',
         useWebWorker: true,
         realtimePreview: true,
         irPreDelayMs: 0,
+        terminationDb: 60,
+        irFormat: 'mono',
+        irNormalization: 'peak',
+        arrivalPlacement: 'linear',
+        sincTaps: 16,
+        irOversampling: 1,
+        listenerAzimuth: 180,
+        micArray: 'ortf',
+        micPickup: 'preset',
         rayRadiosity: {
             enabled: true,
-            scatteringCoeff: 0.45,
             histogramResolution: 0.003,
             maxTime: 6.0,
             hybridBounceThreshold: 3,
             poissonDensity: 22,
             minEnergyThreshold: 1e-9,
-            diffuseGain: 1.6
+            diffuseGain: 1.6,
+            tailMode: 'poisson',
+            crossfadeTime: 0.02
+        },
+        imageSource: {
+            enabled: true,
+            maxOrder: 2,
+            crossoverTime: 0.08
+        },
+        diffraction: {
+            enabled: true,
+            maxOrder: 1,
+            minAngle: 30
+        },
+        surfaces: {
+            floor: { enabled: true, material: 'woodFloor', extent: 0.15 },
+            ceiling: { enabled: false, material: 'acousticTile', extent: 0.15 },
+            peaks: { enabled: false, material: 'carpet', extent: 0.2 }
         }
     },
-    FREQ_BANDS: [
-        200,    // Low
-        800,    // Mid
-        3200,   // High
-        10000   // Ultra High
-    ]
+    BAND_SET: 'octave'
 };
 
 const dom = {};
@@ -89,7 +167,17 @@ const state = {
     noise3D: createNoise3D(),
     maxBounces: CONFIG.DEFAULT_MAX_BOUNCES,
     workerGeometryReady: false,
-    realtimeSimEnabled: true
+    realtimeSimEnabled: true,
+    bandSet: CONFIG.BAND_SET,
+    triangleMaterials: null,
+    wallMaterial: CONFIG.DEFAULTS.wallMaterial,
+    customMaterials: {},
+    directivityBalloon: null,
+    hrirSet: null,
+    receivers: [],
+    selectedReceiverId: null,
+    irReceiverId: null,
+    simulationResult: null
 };
 
 // Three.js references
@@ -100,6 +188,13 @@ let renderer;
 let controls;
 let stats;
 let emitterMesh;
+let emitterAimArrow;
+let hrirRenderer = null;
+let receiverMeshes = [];
+let receiverIdCounter = 0;
+let imageSourceCache = null;
+let crossoverCache = null;
+let customMaterialIdCounter = 0;
 let rayLinesGroup;
 const raycaster = new THREE.Raycaster();
 const vectors = {
@@ -151,7 +246,8 @@ function randomHemisphereDirection(normal) {
         .normalize();
 }
 
-function synthesizeRadiosityPulses(histogram, binSize, poissonDensity, minEnergy) {
+// `scale` turns histogram energy into intensity, see receiverEnergyScale()
+function synthesizeRadiosityPulses(histogram, binSize, poissonDensity, minEnergy, scale) {
     const pulses = [];
     for (let i = 0; i < histogram.length; i++) {
         const energy = histogram[i];
@@ -162,7 +258,7 @@ function synthesizeRadiosityPulses(histogram, binSize, poissonDensity, minEnergy
         if (pulseCount <= 0) pulseCount = 1;
 
         const energyPerPulse = energy / pulseCount;
-        const amplitude = Math.sqrt(energyPerPulse);
+        const amplitude = Math.sqrt(energyPerPulse * scale);
         const baseTime = i * binSize;
 
         for (let j = 0; j < pulseCount; j++) {
@@ -354,8 +450,16 @@ let samplePitchDebounce = null;
 const customSampleRegistry = new Map();
 let customSampleIdCounter = 0;
 
-// Worker reference
-let workerInstance = null;
+// Tracing workers and the simulation they are running
+let workerPool = null;
+let workerReadyCount = 0;
+let workerGeometryCount = 0;
+let workerJob = null;
+// Every setGeometry and simulation request gets its own ID; replies carry it back
+let nextWorkerRequestId = 1;
+let workerGeometryId = 0;
+// Batch loop of a full main-thread simulation, while one is running
+let mainThreadRun = null;
 
 // -----------------------------------------------------------------------------
 // DOM helpers
@@ -368,9 +472,58 @@ function cacheDom() {
         randomSeed: document.getElementById('randomSeed'),
         status: document.getElementById('status'),
         startButton: document.getElementById('startButton'),
+        stopButton: document.getElementById('stopButton'),
         uploadButton: document.getElementById('uploadSampleBtn'),
-        downloadButton: document.getElementById('downloadBtn'),
+        downloadBtn: document.getElementById('downloadBtn'),
+        crossoverPlotBtn: document.getElementById('crossoverPlotBtn'),
+        crossoverPlot: document.getElementById('crossoverPlot'),
         randomizeSeedButton: document.getElementById('randomizeSeedBtn'),
+        sourceX: document.getElementById('sourceX'),
+        sourceY: document.getElementById('sourceY'),
+        sourceZ: document.getElementById('sourceZ'),
+        sourcePattern: document.getElementById('sourcePattern'),
+        sourceAzimuth: document.getElementById('sourceAzimuth'),
+        sourceAzimuthOutput: document.getElementById('sourceAzimuth-val'),
+        sourceElevation: document.getElementById('sourceElevation'),
+        sourceElevationOutput: document.getElementById('sourceElevation-val'),
+        loadBalloonButton: document.getElementById('loadBalloonBtn'),
+        receiverSelect: document.getElementById('receiverSelect'),
+        addReceiverButton: document.getElementById('addReceiverBtn'),
+        removeReceiverButton: document.getElementById('removeReceiverBtn'),
+        irReceiverSelect: document.getElementById('irReceiverSelect'),
+        irFormat: document.getElementById('irFormat'),
+        irNormalization: document.getElementById('irNormalization'),
+        arrivalPlacement: document.getElementById('arrivalPlacement'),
+        sincTaps: document.getElementById('sincTaps'),
+        irOversampling: document.getElementById('irOversampling'),
+        listenerAzimuth: document.getElementById('listenerAzimuth'),
+        listenerAzimuthOutput: document.getElementById('listenerAzimuth-val'),
+        loadHrirButton: document.getElementById('loadHrirBtn'),
+        micArray: document.getElementById('micArray'),
+        micPickup: document.getElementById('micPickup'),
+        hrirSetName: document.getElementById('hrirSetName'),
+        receiverX: document.getElementById('receiverX'),
+        receiverY: document.getElementById('receiverY'),
+        receiverZ: document.getElementById('receiverZ'),
+        bandSetSelect: document.getElementById('bandSet'),
+        absorptionControls: document.getElementById('freq-absorption-controls'),
+        scatteringControls: document.getElementById('freq-scattering-controls'),
+        wallMaterialSelect: document.getElementById('wallMaterial'),
+        importMaterialsButton: document.getElementById('importMaterialsBtn'),
+        exportMaterialsButton: document.getElementById('exportMaterialsBtn'),
+        floorMaterialEnabled: document.getElementById('floorMaterialEnabled'),
+        floorMaterial: document.getElementById('floorMaterial'),
+        floorExtent: document.getElementById('floorExtent'),
+        ceilingMaterialEnabled: document.getElementById('ceilingMaterialEnabled'),
+        ceilingMaterial: document.getElementById('ceilingMaterial'),
+        ceilingExtent: document.getElementById('ceilingExtent'),
+        peaksMaterialEnabled: document.getElementById('peaksMaterialEnabled'),
+        peaksMaterial: document.getElementById('peaksMaterial'),
+        peaksExtent: document.getElementById('peaksExtent'),
+        airTemperature: document.getElementById('airTemperature'),
+        airHumidity: document.getElementById('airHumidity'),
+        airPressure: document.getElementById('airPressure'),
+        speedOfSoundOutput: document.getElementById('speedOfSound-val'),
         raysToVisualizeSlider: document.getElementById('raysToVisualize'),
         lineColorModeSelect: document.getElementById('lineColorMode'),
         sampleAudioSelect: document.getElementById('sample-audio'),
@@ -391,8 +544,6 @@ function cacheDom() {
         useWebWorker: document.getElementById('useWebWorker'), 
         realtimeSimToggle: document.getElementById('realtimeSimToggle'),
         rrEnabled: document.getElementById('rrEnabled'),
-        rrScattering: document.getElementById('rrScattering'),
-        rrScatteringOutput: document.getElementById('rrScattering-val'),
         rrHistogramResolution: document.getElementById('rrHistogramResolution'),
         rrHistogramResolutionOutput: document.getElementById('rrHistogramResolution-val'),
         rrMaxTime: document.getElementById('rrMaxTime'),
@@ -405,6 +556,25 @@ function cacheDom() {
         rrDiffuseGainOutput: document.getElementById('rrDiffuseGain-val'),
         rrMinEnergy: document.getElementById('rrMinEnergy'),
         rrMinEnergyOutput: document.getElementById('rrMinEnergy-val'),
+        rrPulseDirections: document.getElementById('rrPulseDirections'),
+        rrTailMode: document.getElementById('rrTailMode'),
+        rrCrossfade: document.getElementById('rrCrossfade'),
+        rrCrossfadeOutput: document.getElementById('rrCrossfade-val'),
+        terminationDb: document.getElementById('terminationDb'),
+        raySampler: document.getElementById('raySampler'),
+        compareSamplersBtn: document.getElementById('compareSamplersBtn'),
+        samplerComparison: document.getElementById('samplerComparison'),
+        terminationDbOutput: document.getElementById('terminationDb-val'),
+        ismEnabled: document.getElementById('ismEnabled'),
+        ismOrder: document.getElementById('ismOrder'),
+        ismOrderOutput: document.getElementById('ismOrder-val'),
+        ismCrossover: document.getElementById('ismCrossover'),
+        ismCrossoverOutput: document.getElementById('ismCrossover-val'),
+        diffractionEnabled: document.getElementById('diffractionEnabled'),
+        diffractionOrder: document.getElementById('diffractionOrder'),
+        diffractionOrderOutput: document.getElementById('diffractionOrder-val'),
+        diffractionAngle: document.getElementById('diffractionAngle'),
+        diffractionAngleOutput: document.getElementById('diffractionAngle-val'),
         resetButton: document.getElementById('resetButton')
     });
 
@@ -460,10 +630,14 @@ function setupScene() {
     }
 
     emitterMesh = new THREE.Mesh(
-        new THREE.SphereGeometry(CONFIG.EMITTER_RADIUS, 32, 32),
+        new THREE.SphereGeometry(CONFIG.SOURCE_RADIUS, 32, 32),
         new THREE.MeshStandardMaterial({ color: 0xffd700, emissive: 0xffd700, emissiveIntensity: 0.5 })
     );
     scene.add(emitterMesh);
+    emitterAimArrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 2, 0xffd700, 0.5, 0.3);
+    emitterAimArrow.visible = false;
+    emitterMesh.add(emitterAimArrow);
+    setReceivers(CONFIG.DEFAULTS.receivers);
 
     rayLinesGroup = new THREE.Group();
     scene.add(rayLinesGroup);
@@ -509,7 +683,11 @@ async function createShaderMaterial() {
             uTime: { value: 0.0 },
             uFrequency: { value: 0.2 },
             uAmplitude: { value: 0.2 },
-            uAlpha: { value: 0.4 }
+            uAlpha: { value: 0.4 },
+            uMaterialColors: { value: Array.from({ length: MAX_MATERIAL_SLOTS }, () => new THREE.Color()) }
+        },
+        defines: {
+            MAX_MATERIAL_SLOTS
         },
         vertexShader: finalVertexShader,
         fragmentShader: fragmentSrc,
@@ -591,41 +769,993 @@ function buildRoomGeometry() {
     geometry.computeVertexNormals();
     geometry.disposeBoundsTree?.();
     geometry.computeBoundsTree();
+    geometry.computeBoundingBox();
+    imageSourceCache = null;
+    updateSurfaceMaterials();
+    updatePositionRanges();
 }
 
 function rebuildRoom() {
+    cancelSimulationForGeometryChange();
     buildRoomGeometry();
+    checkTransducerPlacement();
+}
+
+// Source and receiver sliders span the room's bounding box. The browser
+// clamps a slider's value into its new range, so positions are read back.
+function updatePositionRanges() {
+    const box = state.roomMesh?.geometry.boundingBox;
+    if (!box) return;
+    const inputs = {
+        x: [dom.sourceX, dom.receiverX],
+        y: [dom.sourceY, dom.receiverY],
+        z: [dom.sourceZ, dom.receiverZ]
+    };
+    Object.entries(inputs).forEach(([axis, axisInputs]) => {
+        axisInputs.filter(Boolean).forEach(input => {
+            const step = parseFloat(input.step) || 0.5;
+            input.min = Math.floor(box.min[axis] / step) * step;
+            input.max = Math.ceil(box.max[axis] / step) * step;
+            const display = document.getElementById(`${input.id}-val`);
+            if (display) display.textContent = input.value;
+        });
+    });
+    updateSelectedReceiverFromInputs();
+    updateTransducerMeshes();
+}
+
+// Source first, then receiver IDs, for every sphere not wholly inside the room
+function findTransducersOutsideRoom() {
+    if (!state.roomMesh?.geometry.boundsTree) return [];
+    const outside = [];
+    if (!isInsideMesh(state.roomMesh, getSourcePosition(), CONFIG.SOURCE_RADIUS)) outside.push('Source');
+    getTracedReceivers().forEach(receiver => {
+        if (!isInsideMesh(state.roomMesh, receiver.position, CONFIG.RECEIVER_RADIUS)) outside.push(`Receiver ${receiver.id}`);
+    });
+    return outside;
+}
+
+// Rays from outside the room give a meaningless IR, so runs are refused
+// while anything is outside; returns whether a run may start
+function checkTransducerPlacement() {
+    const outside = findTransducersOutsideRoom();
+    if (outside.length === 0) return true;
+    setStatus(`${outside.join(', ')} ${outside.length > 1 ? 'are' : 'is'} outside the room; move ${outside.length > 1 ? 'them' : 'it'} inside to simulate.`);
+    return false;
+}
+
+function readPositionInputs(inputs, defaults) {
+    return {
+        x: readFloatInput(inputs.x, defaults.x),
+        y: readFloatInput(inputs.y, defaults.y),
+        z: readFloatInput(inputs.z, defaults.z)
+    };
+}
+
+function getSourcePosition() {
+    return readPositionInputs(
+        { x: dom.sourceX, y: dom.sourceY, z: dom.sourceZ },
+        CONFIG.DEFAULTS.sourcePosition
+    );
+}
+
+function getDirectivityConfig() {
+    const defaults = CONFIG.DEFAULTS.directivity;
+    const pattern = dom.sourcePattern?.value;
+    return {
+        pattern: DIRECTIVITY_PATTERNS[pattern] ? pattern : defaults.pattern,
+        azimuth: readFloatInput(dom.sourceAzimuth, defaults.azimuth, [-180, 180]),
+        elevation: readFloatInput(dom.sourceElevation, defaults.elevation, [-90, 90]),
+        balloon: state.directivityBalloon
+    };
+}
+
+function populateDirectivitySelect() {
+    if (!dom.sourcePattern) return;
+    dom.sourcePattern.innerHTML = '';
+    Object.entries(DIRECTIVITY_PATTERNS).forEach(([id, pattern]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = pattern.label;
+        dom.sourcePattern.appendChild(option);
+    });
+    dom.sourcePattern.value = CONFIG.DEFAULTS.directivity.pattern;
+}
+
+function updateDirectivityOutputs() {
+    const cfg = getDirectivityConfig();
+    if (dom.sourceAzimuthOutput) dom.sourceAzimuthOutput.textContent = `${cfg.azimuth}°`;
+    if (dom.sourceElevationOutput) dom.sourceElevationOutput.textContent = `${cfg.elevation}°`;
+    if (emitterAimArrow) {
+        emitterAimArrow.visible = cfg.pattern !== 'omni';
+        emitterAimArrow.setDirection(aimDirection(cfg.azimuth, cfg.elevation));
+    }
+}
+
+function loadDirectivityBalloon(file) {
+    file.text().then(text => {
+        state.directivityBalloon = parseDirectivityBalloon(text);
+        if (dom.sourcePattern) dom.sourcePattern.value = 'balloon';
+        updateDirectivityOutputs();
+        setStatus(`Loaded directivity balloon from ${file.name}`);
+        if (state.realtimeSimEnabled && !state.isSimulating) {
+            runRealtimeSimulation();
+        }
+    }).catch(error => {
+        console.error('Balloon import failed:', error);
+        setStatus(`Balloon import failed: ${error.message}`);
+    });
+}
+
+function getSelectedReceiver() {
+    return state.receivers.find(receiver => receiver.id === state.selectedReceiverId) ?? state.receivers[0] ?? null;
+}
+
+function setReceivers(receivers) {
+    state.receivers = receivers.map(({ id, position }) => ({ id, position: { ...position } }));
+    receiverIdCounter = state.receivers.reduce((max, receiver) => {
+        const index = parseInt(String(receiver.id).replace(/^R/, ''), 10);
+        return Number.isFinite(index) ? Math.max(max, index) : max;
+    }, 0);
+    state.selectedReceiverId = state.receivers[0]?.id ?? null;
+    populateReceiverSelect();
+    syncReceiverInputs();
+    updateTransducerMeshes();
+}
+
+function addReceiver() {
+    const template = getSelectedReceiver();
+    const receiver = {
+        id: `R${++receiverIdCounter}`,
+        position: template ? { ...template.position } : { x: 0, y: 0, z: 0 }
+    };
+    state.receivers.push(receiver);
+    state.selectedReceiverId = receiver.id;
+    populateReceiverSelect();
+    syncReceiverInputs();
+    updateTransducerMeshes();
+}
+
+function removeSelectedReceiver() {
+    if (state.receivers.length <= 1) {
+        setStatus('At least one receiver is required.');
+        return false;
+    }
+    state.receivers = state.receivers.filter(receiver => receiver.id !== state.selectedReceiverId);
+    state.selectedReceiverId = state.receivers[0].id;
+    populateReceiverSelect();
+    syncReceiverInputs();
+    updateTransducerMeshes();
+    return true;
+}
+
+function populateReceiverSelect() {
+    if (!dom.receiverSelect) return;
+    dom.receiverSelect.innerHTML = '';
+    state.receivers.forEach(receiver => {
+        const option = document.createElement('option');
+        option.value = receiver.id;
+        option.textContent = receiver.id;
+        dom.receiverSelect.appendChild(option);
+    });
+    dom.receiverSelect.value = state.selectedReceiverId ?? '';
+    if (dom.removeReceiverButton) dom.removeReceiverButton.disabled = state.receivers.length <= 1;
+}
+
+// Push the selected receiver's coordinates into the X/Y/Z sliders
+function syncReceiverInputs() {
+    const receiver = getSelectedReceiver();
+    if (!receiver) return;
+    [['x', dom.receiverX], ['y', dom.receiverY], ['z', dom.receiverZ]].forEach(([axis, input]) => {
+        if (!input) return;
+        input.value = receiver.position[axis];
+        const display = document.getElementById(`${input.id}-val`);
+        if (display) display.textContent = input.value;
+    });
+}
+
+function updateSelectedReceiverFromInputs() {
+    const receiver = getSelectedReceiver();
+    if (!receiver) return;
+    receiver.position = readPositionInputs(
+        { x: dom.receiverX, y: dom.receiverY, z: dom.receiverZ },
+        receiver.position
+    );
+}
+
+function getMicArrayConfig() {
+    const defaults = CONFIG.DEFAULTS;
+    const presetId = MIC_ARRAY_PRESETS[dom.micArray?.value] ? dom.micArray.value : defaults.micArray;
+    const preset = MIC_ARRAY_PRESETS[presetId];
+    const pickup = dom.micPickup?.value ?? defaults.micPickup;
+    return {
+        preset,
+        pattern: pickup === 'omni' || pickup === 'cardioid' ? pickup : preset.pattern
+    };
+}
+
+function populateMicArraySelect() {
+    if (!dom.micArray) return;
+    dom.micArray.innerHTML = '';
+    Object.entries(MIC_ARRAY_PRESETS).forEach(([id, preset]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = preset.label;
+        dom.micArray.appendChild(option);
+    });
+    dom.micArray.value = CONFIG.DEFAULTS.micArray;
+}
+
+// Receivers handed to the tracers; in stereo mode every receiver also gets its
+// two array capsules, traced as receivers of their own
+function getTracedReceivers() {
+    if (getIRFormat() !== 'stereo') return state.receivers;
+    const { preset } = getMicArrayConfig();
+    const frame = createListenerFrame(getListenerAzimuth());
+    return state.receivers.flatMap(receiver => [
+        receiver,
+        ...layoutArrayCapsules(preset, receiver.position, frame).map(capsule => ({
+            id: capsuleId(receiver.id, capsule.side),
+            position: capsule.position,
+            capsule: true
+        }))
+    ]);
+}
+
+function syncReceiverMeshes() {
+    if (!scene) return;
+    const receivers = getTracedReceivers();
+
+    while (receiverMeshes.length > receivers.length) {
+        const mesh = receiverMeshes.pop();
+        scene.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+    }
+    while (receiverMeshes.length < receivers.length) {
+        const mesh = new THREE.Mesh(
+            new THREE.SphereGeometry(CONFIG.RECEIVER_RADIUS, 32, 32),
+            new THREE.MeshStandardMaterial({ color: 0x00d5ff, emissive: 0x00d5ff, emissiveIntensity: 0.5 })
+        );
+        mesh.geometry.computeBoundingSphere();
+        scene.add(mesh);
+        receiverMeshes.push(mesh);
+    }
+
+    receivers.forEach((receiver, index) => {
+        const mesh = receiverMeshes[index];
+        mesh.userData.receiverId = receiver.id;
+        mesh.position.set(receiver.position.x, receiver.position.y, receiver.position.z);
+        mesh.material.emissiveIntensity = receiver.id === state.selectedReceiverId ? 1.0 : 0.35;
+        mesh.material.transparent = !!receiver.capsule;
+        mesh.material.opacity = receiver.capsule ? 0.35 : 1;
+        mesh.updateMatrixWorld(true);
+    });
+}
+
+function updateTransducerMeshes() {
+    if (emitterMesh) {
+        const source = getSourcePosition();
+        emitterMesh.position.set(source.x, source.y, source.z);
+        emitterMesh.updateMatrixWorld(true);
+    }
+    syncReceiverMeshes();
+}
+
+// -----------------------------------------------------------------------------
+// Frequency bands + absorption controls
+// -----------------------------------------------------------------------------
+function getFrequencyBands() {
+    return getBandCenters(state.bandSet);
+}
+
+function getAbsorptionCoefficients() {
+    const freqBands = getFrequencyBands();
+    const defaults = interpolateBandValues(MATERIAL_LIBRARY[CONFIG.DEFAULTS.wallMaterial].absorption, freqBands);
+    return Object.fromEntries(freqBands.map(freq => [
+        freq,
+        getNumericInputValue(`absorption${freq}`, defaults[freq])
+    ]));
+}
+
+function getScatteringCoefficients() {
+    const freqBands = getFrequencyBands();
+    const defaults = interpolateBandValues(MATERIAL_LIBRARY[CONFIG.DEFAULTS.wallMaterial].scattering, freqBands);
+    return Object.fromEntries(freqBands.map(freq => [
+        freq,
+        getNumericInputValue(`scattering${freq}`, defaults[freq])
+    ]));
+}
+
+function populateBandSetSelect() {
+    if (!dom.bandSetSelect) return;
+    dom.bandSetSelect.innerHTML = '';
+    Object.entries(BAND_SETS).forEach(([id, set]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = set.label;
+        dom.bandSetSelect.appendChild(option);
+    });
+    dom.bandSetSelect.value = state.bandSet;
 }
+
+function buildBandSliders(container, prefix, values, min) {
+    if (!container) return;
+    container.innerHTML = '';
+    getFrequencyBands().forEach(freq => {
+        const value = Math.max(min, values[freq] ?? min).toFixed(2);
+        const label = document.createElement('label');
+        const display = document.createElement('span');
+        display.id = `${prefix}${freq}-val`;
+        display.textContent = value;
+        const slider = document.createElement('input');
+        Object.assign(slider, { type: 'range', id: `${prefix}${freq}`, min: String(min), max: '1', step: '0.01', value });
+        slider.addEventListener('input', () => {
+            display.textContent = slider.value;
+            // Hand-tuned sliders no longer match the chosen preset
+            state.wallMaterial = 'custom';
+            if (dom.wallMaterialSelect) dom.wallMaterialSelect.value = 'custom';
+        });
+        label.append(`${freq} Hz: `, display, slider);
+        container.appendChild(label);
+    });
+}
+
+function buildAbsorptionControls(values) {
+    buildBandSliders(dom.absorptionControls, 'absorption', values, 0.01);
+}
+
+function buildScatteringControls(values) {
+    buildBandSliders(dom.scatteringControls, 'scattering', values, 0);
+}
+
+// Switch band sets, carrying the current curves over (or re-resolving the preset)
+function setBandSet(setId) {
+    const absorption = getAbsorptionCoefficients();
+    const scattering = getScatteringCoefficients();
+    const preset = getMaterialById(state.wallMaterial);
+    state.bandSet = BAND_SETS[setId] ? setId : CONFIG.BAND_SET;
+    if (dom.bandSetSelect) dom.bandSetSelect.value = state.bandSet;
+    const freqBands = getFrequencyBands();
+    buildAbsorptionControls(interpolateBandValues(preset?.absorption ?? absorption, freqBands));
+    buildScatteringControls(interpolateBandValues(preset?.scattering ?? scattering, freqBands));
+    drawCrossoverResponse();
+}
+
+// -----------------------------------------------------------------------------
+// Surface materials
+// -----------------------------------------------------------------------------
+function getMaterialById(id) {
+    return state.customMaterials[id] ?? MATERIAL_LIBRARY[id] ?? null;
+}
+
+function populateMaterialSelects() {
+    const materials = { ...MATERIAL_LIBRARY, ...state.customMaterials };
+    const fillSelect = (select, selected, extraOptions = []) => {
+        select.innerHTML = '';
+        [...extraOptions, ...Object.entries(materials).map(([id, material]) => [id, material.name])].forEach(([id, name]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = selected;
+    };
+
+    if (dom.wallMaterialSelect) {
+        fillSelect(dom.wallMaterialSelect, state.wallMaterial, [['custom', 'Custom (sliders)']]);
+    }
+    Object.keys(SURFACE_REGIONS).forEach(type => {
+        const select = dom[`${type}Material`];
+        if (!select) return;
+        const current = getMaterialById(select.value) ? select.value : CONFIG.DEFAULTS.surfaces[type].material;
+        fillSelect(select, current);
+    });
+}
+
+// Load a library material into the wall absorption and scattering sliders
+function selectWallMaterial(id) {
+    const material = getMaterialById(id);
+    state.wallMaterial = material ? id : 'custom';
+    if (dom.wallMaterialSelect) dom.wallMaterialSelect.value = state.wallMaterial;
+    if (!material) return;
+
+    const freqBands = getFrequencyBands();
+    buildAbsorptionControls(interpolateBandValues(material.absorption, freqBands));
+    buildScatteringControls(interpolateBandValues(material.scattering, freqBands));
+}
+
+function importMaterialSet(file) {
+    file.text().then(text => {
+        const imported = parseMaterialSet(text);
+        imported.forEach(material => {
+            state.customMaterials[`custom:${++customMaterialIdCounter}`] = material;
+        });
+        populateMaterialSelects();
+        setStatus(`Imported ${imported.length} material${imported.length === 1 ? '' : 's'} from ${file.name}`);
+    }).catch(error => {
+        console.error('Material import failed:', error);
+        setStatus(`Material import failed: ${error.message}`);
+    });
+}
+
+// Saves imported materials plus the current wall sliders as a reusable set
+function exportMaterialSet() {
+    const freqBands = getFrequencyBands();
+    const walls = getMaterialTable(freqBands)[0];
+    const preset = getMaterialById(state.wallMaterial);
+    const json = serializeMaterialSet({
+        ...state.customMaterials,
+        walls: {
+            name: preset ? preset.name : 'Custom walls',
+            color: preset?.color ?? '#cccccc',
+            absorption: walls.absorption,
+            scattering: walls.scattering
+        }
+    });
+
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.style.display = 'none';
+    a.href = url;
+    a.download = 'materials.json';
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+}
+
+// Region i always owns material slot i + 1, whether or not it is enabled
+function getSurfaceRegions() {
+    return Object.keys(SURFACE_REGIONS).map((type, i) => {
+        const defaults = CONFIG.DEFAULTS.surfaces[type];
+        const material = dom[`${type}Material`]?.value;
+        return {
+            type,
+            slot: i + 1,
+            enabled: dom[`${type}MaterialEnabled`] ? dom[`${type}MaterialEnabled`].checked : defaults.enabled,
+            material: getMaterialById(material) ? material : defaults.material,
+            extent: readFloatInput(dom[`${type}Extent`], defaults.extent, [0, 1])
+        };
+    });
+}
+
+// Slot 0 is the wall material driven by the absorption and scattering sliders
+function getMaterialTable(freqBands = getFrequencyBands()) {
+    const walls = {
+        name: 'Walls',
+        color: null,
+        absorption: getAbsorptionCoefficients(),
+        scattering: getScatteringCoefficients()
+    };
+    return [
+        walls,
+        ...getSurfaceRegions().map(region => resolveMaterial(getMaterialById(region.material), freqBands))
+    ];
+}
+
+function updateMaterialColors() {
+    const uniform = state.shaderMaterial?.uniforms?.uMaterialColors;
+    if (!uniform) return;
+    getMaterialTable().forEach((material, slot) => {
+        if (material.color && slot < MAX_MATERIAL_SLOTS) uniform.value[slot].set(material.color);
+    });
+}
+
+function updateSurfaceMaterials() {
+    if (!state.roomMesh) return;
+    const geometry = state.roomMesh.geometry;
+    const regions = getSurfaceRegions().filter(region => region.enabled);
+    state.triangleMaterials = assignSurfaceMaterials(geometry, regions);
+    writeMaterialAttribute(geometry, state.triangleMaterials);
+    updateMaterialColors();
+    imageSourceCache = null;
+}
+
+// -----------------------------------------------------------------------------
+// Main-thread tracing helpers
+// -----------------------------------------------------------------------------
+function createTraceContext({ freqBands, speedOfSound, airAttenuation = {}, rrConfig, numRays, absorptionCoeffs, materials = [], imageSource, diffraction, directivity = null, sampling = getSamplingConfig(), termination = getTerminationConfig(rrConfig) }) {
+    const useRayRadiosity = rrConfig.enabled;
+    const histogramBins = useRayRadiosity ? Math.ceil(rrConfig.maxTime / rrConfig.histogramResolution) : 0;
+    const receiverTargets = receiverMeshes.map(mesh => ({
+        id: mesh.userData.receiverId,
+        mesh,
+        position: mesh.getWorldPosition(new THREE.Vector3()),
+        radius: mesh.geometry?.boundingSphere?.radius ?? CONFIG.RECEIVER_RADIUS
+    }));
+    const perReceiverBands = (factory) => Object.fromEntries(receiverTargets.map(target => [
+        target.id,
+        Object.fromEntries(freqBands.map(freq => [freq, factory()]))
+    ]));
+
+    return {
+        freqBands,
+        speedOfSound,
+        airAttenuation,
+        rrConfig,
+        numRays,
+        absorptionCoeffs,
+        surfaces: materials.map(material => ({
+            absorption: material.absorption,
+            scattering: Object.fromEntries(freqBands.map(freq => [
+                freq,
+                THREE.MathUtils.clamp(material.scattering[freq] ?? 0, 0, 1)
+            ]))
+        })),
+        branchWeights: {},
+        isOccluded: useRayRadiosity ? createOcclusionTest(state.roomMesh.geometry) : null,
+        directivity: createDirectivity(directivity, freqBands),
+        sampleDirection: createDirectionSampler(sampling, numRays),
+        termination,
+        terminationRatio: energyRatioFromDb(termination.thresholdDb),
+        triangleMaterials: state.triangleMaterials,
+        imageSource,
+        diffraction,
+        useRayRadiosity,
+        histogramBins,
+        receiverTargets,
+        arrivalsByBand: perReceiverBands(() => []),
+        rrHistograms: useRayRadiosity ? perReceiverBands(() => new Float32Array(histogramBins)) : null,
+        // Broadband energy-weighted arrival directions per bin, for the late pulses
+        rrDirections: useRayRadiosity
+            ? Object.fromEntries(receiverTargets.map(target => [target.id, new Float32Array(histogramBins * 3)]))
+            : null,
+        rrDirectionEnergy: useRayRadiosity
+            ? Object.fromEntries(receiverTargets.map(target => [target.id, new Float32Array(histogramBins)]))
+            : null,
+        rrContributionCount: 0
+    };
+}
+
+// Absorption and scattering of the surface a ray hit; slot 0 falls back to the global settings
+function surfaceAt(ctx, faceIndex) {
+    return ctx.surfaces[ctx.triangleMaterials?.[faceIndex] ?? 0] ?? {
+        absorption: ctx.absorptionCoeffs,
+        scattering: ctx.rrConfig.scatteringCoeffs
+    };
+}
+
+// Receivers are transparent: every sphere the current segment crosses before
+// the wall hit records an arrival and the ray keeps going.
+function recordReceiverCrossings(ctx, segmentLength, totalDistance, energies, intersections = []) {
+    let crossings = 0;
+    for (const target of ctx.receiverTargets) {
+        intersections.length = 0;
+        raycaster.intersectObject(target.mesh, false, intersections);
+        const receiverHit = intersections[0];
+        if (!receiverHit || receiverHit.distance <= 0.001 || receiverHit.distance >= segmentLength) continue;
+
+        const pathLength = totalDistance + receiverHit.distance;
+        const arrivalTime = pathLength / ctx.speedOfSound;
+        const direction = { x: -vectors.direction.x, y: -vectors.direction.y, z: -vectors.direction.z };
+        ctx.freqBands.forEach(freq => {
+            ctx.arrivalsByBand[target.id][freq].push({
+                time: arrivalTime,
+                amplitude: energies[freq] * Math.exp(-2 * (ctx.airAttenuation[freq] ?? 0) * pathLength),
+                direction
+            });
+        });
+        crossings++;
+    }
+    return crossings;
+}
+
+// Diffuse rain towards every receiver visible from the hit point; `incoming`
+// is the ray direction before reflection and picks the air side of the surface
+function depositDiffuseEnergy(ctx, point, normal, incoming, totalDistance, energies, scattering) {
+    const { rrConfig, histogramBins } = ctx;
+    const airSide = normal.dot(incoming) > 0 ? -1 : 1;
+    for (const target of ctx.receiverTargets) {
+        vectors.toReceiver.copy(point).sub(target.position);
+        const distanceToReceiver = Math.max(vectors.toReceiver.length(), Math.max(target.radius * 0.5, 0.01));
+        const pathLength = totalDistance + distanceToReceiver;
+        const timeToReceiver = pathLength / ctx.speedOfSound;
+        if (timeToReceiver > rrConfig.maxTime) continue;
+
+        const binIndex = Math.floor(timeToReceiver / rrConfig.histogramResolution);
+        if (binIndex >= histogramBins) continue;
+
+        const cosTheta = -airSide * normal.dot(vectors.toReceiver) / distanceToReceiver;
+        const rainGain = diffuseRainGain(cosTheta, distanceToReceiver, target.radius);
+        if (rainGain <= 0 || ctx.isOccluded(point, target.position)) continue;
+
+        let depositedEnergy = 0;
+        ctx.freqBands.forEach(freq => {
+            const energy = energies[freq] * Math.exp(-2 * (ctx.airAttenuation[freq] ?? 0) * pathLength);
+            if (energy <= 0) return;
+            const diffuseEnergy = energy * rrConfig.diffuseGain * rainGain * Math.max(scattering[freq] ?? 0, 1e-3);
+            if (diffuseEnergy > rrConfig.minEnergyThreshold) {
+                ctx.rrHistograms[target.id][freq][binIndex] += diffuseEnergy;
+                depositedEnergy += diffuseEnergy;
+                ctx.rrContributionCount++;
+            }
+        });
+
+        const pointDistance = vectors.toReceiver.length();
+        if (depositedEnergy > 0 && pointDistance > 0) {
+            const weight = depositedEnergy / pointDistance;
+            const directions = ctx.rrDirections[target.id];
+            directions[binIndex * 3] += vectors.toReceiver.x * weight;
+            directions[binIndex * 3 + 1] += vectors.toReceiver.y * weight;
+            directions[binIndex * 3 + 2] += vectors.toReceiver.z * weight;
+            ctx.rrDirectionEnergy[target.id][binIndex] += depositedEnergy;
+        }
+    }
+}
+
+// Time limit, then Russian roulette once the ray falls below its threshold;
+// returns false when the ray should stop
+function continueRay(ctx, energies, totalDistance, thresholdEnergy) {
+    if (totalDistance / ctx.speedOfSound > ctx.termination.maxTime) return false;
+    const survival = russianRoulette(rayEnergy(energies, ctx.freqBands, ctx.airAttenuation, totalDistance), thresholdEnergy);
+    if (survival === 0) return false;
+    if (survival !== 1) {
+        ctx.freqBands.forEach(freq => { energies[freq] *= survival; });
+    }
+    return true;
+}
+
+function countReceiverArrivals(arrivalsByReceiver) {
+    return Object.values(arrivalsByReceiver).reduce((sum, bands) =>
+        sum + Object.values(bands).reduce((s, a) => s + a.length, 0), 0);
+}
+
+// The image tree depends only on the room and source, so it survives receiver moves
+function getImageSources(maxOrder, maxDistance) {
+    const source = getSourcePosition();
+    const key = `${maxOrder}:${maxDistance}:${source.x},${source.y},${source.z}`;
+    if (!imageSourceCache || imageSourceCache.key !== key) {
+        const images = buildImageSources(state.roomMesh.geometry, source, maxOrder, { maxDistance });
+        if (images.truncated) {
+            console.warn(`Image-source tree truncated at ${images.count} images`);
+        }
+        imageSourceCache = { key, images };
+    }
+    return imageSourceCache.images;
+}
+
+// Image sources and diffraction share one image tree over the early window
+function getEarlyImageSources(ctx) {
+    const { imageSource, diffraction } = ctx;
+    const order = Math.max(
+        imageSource?.enabled ? imageSource.maxOrder : 0,
+        diffraction?.enabled ? diffraction.maxOrder : 0
+    );
+    return getImageSources(order, imageSource.crossoverTime * ctx.speedOfSound);
+}
+
+// Replace traced arrivals before the crossover with exact image-source arrivals
+function mergeImageSourceArrivals(ctx) {
+    const { imageSource } = ctx;
+    if (!imageSource?.enabled || !state.roomMesh) return 0;
+
+    const images = getEarlyImageSources(ctx);
+    let pathCount = 0;
+    ctx.receiverTargets.forEach(target => {
+        const result = computeImageSourceArrivals(images, state.roomMesh.geometry, target.position, {
+            freqBands: ctx.freqBands,
+            absorption: (t, freq) => surfaceAt(ctx, t).absorption[freq] ?? 0,
+            speedOfSound: ctx.speedOfSound,
+            airAttenuation: ctx.airAttenuation,
+            sourceDirectivity: ctx.directivity,
+            maxOrder: imageSource.maxOrder
+        });
+        pathCount += result.pathCount;
+        ctx.freqBands.forEach(freq => {
+            mergeEarlyArrivals(ctx.arrivalsByBand[target.id][freq], result.arrivalsByBand[freq], imageSource.crossoverTime);
+        });
+    });
+    return pathCount;
+}
+
+// Rays never bend around edges, so diffracted arrivals are added on top
+function mergeDiffractionArrivals(ctx) {
+    const { diffraction } = ctx;
+    if (!diffraction?.enabled || !state.roomMesh) return 0;
+
+    const images = getEarlyImageSources(ctx);
+    let pathCount = 0;
+    ctx.receiverTargets.forEach(target => {
+        const result = computeDiffractionArrivals(images, state.roomMesh.geometry, target.position, {
+            freqBands: ctx.freqBands,
+            absorption: (t, freq) => surfaceAt(ctx, t).absorption[freq] ?? 0,
+            speedOfSound: ctx.speedOfSound,
+            airAttenuation: ctx.airAttenuation,
+            sourceDirectivity: ctx.directivity,
+            maxOrder: diffraction.maxOrder,
+            minAngle: diffraction.minAngle,
+            maxDistance: ctx.imageSource.crossoverTime * ctx.speedOfSound
+        });
+        pathCount += result.pathCount;
+        ctx.freqBands.forEach(freq => {
+            ctx.arrivalsByBand[target.id][freq].push(...result.arrivalsByBand[freq]);
+        });
+    });
+    return pathCount;
+}
+
+// Merge image sources and diffraction, synthesize the RR tail for every receiver and sort
+// arrivals; returns the late pulse count
+function finalizeReceiverArrivals(ctx) {
+    // Ray energy becomes pressure before any deterministic path is merged in
+    ctx.receiverTargets.forEach(target => {
+        const scale = receiverEnergyScale(ctx.numRays, target.radius);
+        ctx.freqBands.forEach(freq => energyArrivalsToPressure(ctx.arrivalsByBand[target.id][freq], scale));
+    });
+    ctx.imageSourcePathCount = mergeImageSourceArrivals(ctx);
+    ctx.diffractionPathCount = mergeDiffractionArrivals(ctx);
+
+    // Poisson pulses join the arrivals now; noise tails are kept as envelopes
+    // and drawn when the IR is rendered
+    const { rrConfig } = ctx;
+    const binSize = rrConfig.histogramResolution;
+    const synthesizeTail = ctx.useRayRadiosity && ctx.histogramBins > 0 && ctx.rrHistograms;
+    ctx.lateTail = synthesizeTail && rrConfig.tailMode !== 'poisson'
+        ? { mode: rrConfig.tailMode, binSize, crossfade: rrConfig.crossfadeTime, pulseDirections: rrConfig.pulseDirections, receivers: {} }
+        : null;
+
+    let lateArrivalCount = 0;
+    ctx.receiverTargets.forEach(({ id, radius }) => {
+        const scale = receiverEnergyScale(ctx.numRays, radius);
+        if (ctx.lateTail) {
+            const bands = Object.fromEntries(ctx.freqBands.map(freq => [
+                freq,
+                tailEnvelope(ctx.rrHistograms[id][freq], rrConfig.minEnergyThreshold, scale)
+            ]));
+            ctx.lateTail.receivers[id] = {
+                bands,
+                directions: ctx.rrDirections[id],
+                directionEnergy: ctx.rrDirectionEnergy[id]
+            };
+            // The early part hands over to the noise tail across the crossfade
+            ctx.freqBands.forEach(freq => {
+                const onset = tailOnset(bands[freq], binSize);
+                ctx.arrivalsByBand[id][freq] = crossfadeEarlyArrivals(ctx.arrivalsByBand[id][freq], onset, rrConfig.crossfadeTime);
+            });
+        }
+        ctx.freqBands.forEach(freq => {
+            if (synthesizeTail && !ctx.lateTail) {
+                const histogram = ctx.rrHistograms[id][freq];
+                const pulses = synthesizeRadiosityPulses(
+                    histogram,
+                    binSize,
+                    rrConfig.poissonDensity,
+                    rrConfig.minEnergyThreshold,
+                    scale
+                );
+                if (pulses.length > 0) {
+                    assignPulseDirections(
+                        pulses,
+                        ctx.rrDirections[id],
+                        ctx.rrDirectionEnergy[id],
+                        binSize,
+                        rrConfig.pulseDirections
+                    );
+                    ctx.arrivalsByBand[id][freq].push(...pulses);
+                    lateArrivalCount += pulses.length;
+                }
+            }
+            ctx.arrivalsByBand[id][freq].sort((a, b) => a.time - b.time);
+        });
+    });
+    return lateArrivalCount;
+}
+
+// -----------------------------------------------------------------------------
+// Simulation results
+// -----------------------------------------------------------------------------
+// The seed is kept so noise tails drawn at render time repeat across re-renders
+function handleSimulationResult(arrivalsByReceiver, freqBands = null, lateTail = null, seed = '') {
+    state.simulationResult = { arrivalsByReceiver, freqBands, lateTail, seed };
+
+    // Array capsules are listed under their receiver
+    const receiverIds = [...new Set(Object.keys(arrivalsByReceiver).map(capsuleParentId))];
+    if (!receiverIds.includes(state.irReceiverId)) {
+        state.irReceiverId = receiverIds.includes(state.selectedReceiverId) ? state.selectedReceiverId : receiverIds[0] ?? null;
+    }
+
+    if (dom.irReceiverSelect) {
+        dom.irReceiverSelect.innerHTML = '';
+        receiverIds.forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = id;
+            dom.irReceiverSelect.appendChild(option);
+        });
+        dom.irReceiverSelect.value = state.irReceiverId ?? '';
+        dom.irReceiverSelect.disabled = receiverIds.length <= 1;
+    }
+
+    loadReceiverImpulseResponse(state.irReceiverId);
+}
+
+function loadReceiverImpulseResponse(receiverId) {
+    const result = state.simulationResult;
+    if (!result || !receiverId || !result.arrivalsByReceiver[receiverId]) return;
+    state.irReceiverId = receiverId;
+
+    const format = getIRFormat();
+    let arrivals = result.arrivalsByReceiver[receiverId];
+    let lateTail = band => synthesizeLateTail(result, receiverId, band, format !== 'mono');
+    if (format === 'stereo') {
+        arrivals = mergeCapsuleArrivals(result, receiverId);
+        if (!arrivals) {
+            setStatus('Run the simulation again to trace the microphone capsules.');
+            return;
+        }
+        lateTail = band => {
+            const tails = CAPSULE_SIDES.map((side, channel) => synthesizeLateTail(result, capsuleId(receiverId, side), band, true, channel));
+            return { pulses: tails.flatMap(tail => tail.pulses), noise: tails.flatMap(tail => tail.noise) };
+        };
+    }
+
+    if (result.freqBands) {
+        plotMultiBandImpulseResponse(arrivals, result.freqBands, lateTail);
+    } else {
+        const tail = lateTail('broadband');
+        plotImpulseResponse(arrivals.concat(tail.pulses), tail.noise);
+    }
+}
+
+// Noise tails are drawn one band at a time while the IR renders rather than
+// stored with the result. Velvet pulses go through the arrival placement;
+// shaped noise is handed over as its envelope and rendered straight into the
+// IR buffer by createIRAudioBuffer(). A seeded run draws each receiver and
+// band from its own stream, so re-renders repeat exactly.
+function synthesizeLateTail({ lateTail, seed }, receiverId, band, withDirections, channel = 0) {
+    const receiver = lateTail?.receivers[receiverId];
+    const envelope = receiver?.bands[band];
+    if (!envelope) return { pulses: [], noise: [] };
+
+    const random = seed ? seedrandom(`${seed}:tail:${receiverId}:${band}`) : Math.random;
+    if (lateTail.mode !== 'velvet') {
+        const directions = withDirections && lateTail.pulseDirections === 'surface' ? receiver.directions : null;
+        const noise = { envelope, binSize: lateTail.binSize, crossfade: lateTail.crossfade, directions, directionEnergy: receiver.directionEnergy, channel, random };
+        return { pulses: [], noise: [noise] };
+    }
+
+    const pulses = synthesizeVelvetTail(envelope, lateTail.binSize, lateTail.crossfade, random);
+    if (withDirections) {
+        assignPulseDirections(pulses, receiver.directions, receiver.directionEnergy, lateTail.binSize, lateTail.pulseDirections, random);
+    }
+    pulses.forEach(pulse => { pulse.channel = channel; });
+    return { pulses, noise: [] };
+}
+
+// One arrival list per band with each capsule's arrivals tagged by output channel
+function mergeCapsuleArrivals(result, receiverId) {
+    const capsules = CAPSULE_SIDES.map(side => result.arrivalsByReceiver[capsuleId(receiverId, side)]);
+    if (capsules.some(arrivals => !arrivals)) return null;
+
+    const tag = (arrivals, channel) => arrivals.map(arrival => ({ ...arrival, channel }));
+    if (!result.freqBands) return capsules.flatMap(tag);
+    return Object.fromEntries(result.freqBands.map(freq => [
+        freq,
+        capsules.flatMap((bands, channel) => tag(bands[freq] ?? [], channel))
+    ]));
+}
+
 // -----------------------------------------------------------------------------
 // Worker
 // -----------------------------------------------------------------------------
 function initWorker() {
-    if (workerInstance) workerInstance.terminate();
+    if (workerPool) workerPool.terminate();
+    workerReadyCount = 0;
+    workerGeometryCount = 0;
+    workerJob = null;
 
     try {
-        workerInstance = new Worker(new URL('./raytracing-worker.js', import.meta.url), { type: 'module' });
-        workerInstance.onmessage = handleWorkerMessage;
-        workerInstance.onerror = (error) => {
-            console.error('Modern worker failed to load:', error);
-            fallbackToSimpleBVH();
-        };
-        workerInstance.postMessage({ type: 'init' });
+        workerPool = createWorkerPool(
+            defaultPoolSize(),
+            () => new Worker(new URL('./raytracing-worker.js', import.meta.url), { type: 'module' }),
+            handleWorkerMessage,
+            (error) => {
+                console.error('Modern worker failed to load:', error);
+                fallbackToSimpleBVH();
+            }
+        );
+        workerPool.broadcast({ type: 'init' });
     } catch (error) {
         console.error('Failed to create modern worker:', error);
         fallbackToSimpleBVH();
     }
 }
 
-function handleWorkerMessage(event) {
-    const message = event.data;
+// Splits the rays of a run into seeded ranges and hands them out to idle workers.
+// `mode` is 'preview', 'full' or 'compare'. A job with `onComplete` hands its
+// result to that callback instead of loading it as the IR.
+function startWorkerSimulation(params, mode, { label = null, onComplete = null } = {}) {
+    workerJob = {
+        requestId: nextWorkerRequestId++,
+        mode,
+        label,
+        onComplete,
+        geometryId: workerGeometryId,
+        params,
+        ranges: splitRayRanges(params.numRays),
+        nextRange: 0,
+        traced: [],
+        tracedRays: 0,
+        workerProgress: new Array(workerPool.size).fill(null),
+        startTime: performance.now(),
+        avgRaysPerSecond: 0
+    };
+    for (let index = 0; index < workerPool.size; index++) dispatchRayRange(index);
+}
+
+function dispatchRayRange(index) {
+    const job = workerJob;
+    if (!job || job.nextRange >= job.ranges.length) return;
+    const range = job.ranges[job.nextRange++];
+    workerPool.post(index, {
+        type: 'trace',
+        data: { params: job.params, range, requestId: job.requestId, mode: job.mode }
+    });
+}
+
+// One status line for the whole pool
+function updateWorkerProgress() {
+    const job = workerJob;
+    const active = job.workerProgress.filter(Boolean);
+    const tracedRays = job.tracedRays + active.reduce((sum, p) => sum + p.tracedRays, 0);
+    const rps = active.reduce((sum, p) => sum + p.raysPerSecond, 0);
+    const arrivals = job.traced.reduce((sum, t) => sum + t.arrivals, 0) + active.reduce((sum, p) => sum + p.currentArrivals, 0);
+    const progress = Math.round(tracedRays / Math.max(1, job.params.numRays) * 100);
+    const label = job.label ?? (job.mode === 'preview' ? 'Quick preview' : 'Simulating');
+    setStatus(`${label} (${workerPool.size} BVH workers)... ${progress}% (${rps} rays/sec, ${arrivals} arrivals)`);
+}
+
+function handleTracedRange(message, index) {
+    const job = workerJob;
+    job.workerProgress[index] = null;
+    job.tracedRays += message.range.count;
+    job.traced.push({ range: message.range, trace: message.trace, arrivals: countTracedArrivals(message.trace) });
+
+    if (job.traced.length < job.ranges.length) {
+        dispatchRayRange(index);
+        updateWorkerProgress();
+        return;
+    }
+
+    // All ranges are in: merge them before image sources and pulse synthesis
+    const elapsed = performance.now() - job.startTime;
+    job.avgRaysPerSecond = elapsed > 0 ? Math.round(job.params.numRays / (elapsed / 1000)) : 0;
+    const trace = mergeTraces(job.traced);
+    job.traced = [];
+    setStatus('Adding early reflections and reverb tail...');
+    workerPool.post(0, {
+        type: 'finalize',
+        data: { params: job.params, trace, requestId: job.requestId, mode: job.mode }
+    }, traceTransferables(trace));
+}
+
+function countTracedArrivals(trace) {
+    return Object.values(trace.receivers).reduce((sum, receiver) =>
+        sum + receiver.time.length * Object.keys(receiver.amplitude).length, 0) + (trace.rrContributionCount || 0);
+}
+
+// Replies to a cancelled or superseded simulation are dropped
+function isCurrentJobMessage(message) {
+    return workerJob !== null && message.requestId === workerJob.requestId;
+}
+
+function handleWorkerMessage(message, index) {
     const { type } = message;
+    if ((type === 'progress' || type === 'traced' || type === 'complete') && !isCurrentJobMessage(message)) return;
     
     switch (type) {
         case 'ready':
-            console.log('Modern ES Module BVH worker initialized');
-            updateWorkerGeometry();
+            workerReadyCount++;
+            if (workerReadyCount === workerPool.size) {
+                console.log(`Modern ES Module BVH worker pool initialized (${workerPool.size} workers)`);
+                updateWorkerGeometry();
+            }
             break;
         case 'geometrySet':
+            if (message.requestId !== workerGeometryId) break;
+            workerGeometryCount++;
+            if (workerGeometryCount < workerPool.size) break;
             console.log('Worker geometry updated BVH');
             state.workerGeometryReady = true;
             if (dom.startButton && !state.isSimulating) {
@@ -633,42 +1763,71 @@ function handleWorkerMessage(event) {
             }
             break;
         case 'progress': {
-            const progress = Math.round((message.progress || 0) * 100);
-            const rps = message.raysPerSecond || 0;
-            const arrivals = message.currentArrivals || 0;
-            setStatus(`Simulating (Modern BVH Worker)... ${progress}% (${rps} rays/sec, ${arrivals} arrivals)`);
+            workerJob.workerProgress[index] = {
+                tracedRays: message.tracedRays || 0,
+                raysPerSecond: message.raysPerSecond || 0,
+                currentArrivals: message.currentArrivals || 0
+            };
+            updateWorkerProgress();
             break;
         }
+        case 'traced':
+            handleTracedRange(message, index);
+            break;
         case 'complete': {
+            const job = workerJob;
+            workerJob = null;
+            if (job.geometryId !== workerGeometryId) {
+                // The room, source or receivers moved while tracing; the IR would not match the scene
+                console.warn(`Discarding ${job.mode} simulation ${job.requestId}: geometry changed during the run`);
+                if (dom.startButton) dom.startButton.disabled = false;
+                setSimulating(false);
+                setStatus('Scene changed during the simulation; result discarded.');
+                break;
+            }
+            if (job.onComplete) {
+                job.onComplete(message);
+                break;
+            }
             const totalArrivals = message.totalArrivals || 0;
-            const avgRps = message.avgRaysPerSecond || 0;
+            const avgRps = job.avgRaysPerSecond;
             const rayRadiosityInfo = message.rayRadiosity;
-            
             console.log(`Modern BVH Worker simulation complete: ${totalArrivals} arrivals`);
             console.log(`Performance: ${avgRps} rays/sec average`);
+            console.log(`Ray directions: ${DIRECTION_SAMPLERS[job.params.sampling?.method]?.label ?? 'Random'}`);
             if (rayRadiosityInfo?.enabled) {
                 console.log(
-                    `Ray-radiosity tail: ${rayRadiosityInfo.lateArrivalCount} late pulses ` +
+                    `Ray-radiosity tail: ${message.lateTail ? TAIL_MODES[message.lateTail.mode].label : `${rayRadiosityInfo.lateArrivalCount} late pulses`} ` +
                     `(bins=${rayRadiosityInfo.histogramBins}, resolution=${rayRadiosityInfo.rrConfig?.histogramResolution ?? 'n/a'}s)`
                 );
             }
+            if (message.imageSource?.enabled) {
+                console.log(
+                    `Image sources: ${message.imageSource.pathCount} early paths ` +
+                    `(order ${message.imageSource.imageSourceConfig?.maxOrder}, crossover ${message.imageSource.imageSourceConfig?.crossoverTime}s)`
+                );
+            }
+            if (message.diffraction?.enabled) {
+                console.log(`Diffraction: ${message.diffraction.pathCount} edge paths`);
+            }
             //console.timeEnd('Worker Simulation');
             
-            // Handle multi-band or single-band results
+            // Handle multi-band or single-band results, keyed by receiver ID
             if (message.arrivalsByBand && message.freqBands) {
-                plotMultiBandImpulseResponse(message.arrivalsByBand, message.freqBands);
+                handleSimulationResult(message.arrivalsByBand, message.freqBands, message.lateTail, job.params.seed);
             } else if (message.arrivals) {
-                plotImpulseResponse(message.arrivals);
+                handleSimulationResult(message.arrivals, null, message.lateTail, job.params.seed);
             } else {
                 console.warn('Worker completed without arrivals payload; skipping IR plotting.');
             }
             
             if (dom.startButton) dom.startButton.disabled = false;
-            state.isSimulating = false;
+            setSimulating(false);
             const tailSummary = rayRadiosityInfo?.enabled && rayRadiosityInfo.lateArrivalCount
                 ? `, ${rayRadiosityInfo.lateArrivalCount} RR pulses`
                 : '';
-            setStatus(`Complete: ${totalArrivals} arrivals (${avgRps} rays/sec${tailSummary})`);
+            const label = job.mode === 'preview' ? 'Quick preview' : 'Complete';
+            setStatus(`${label}: ${totalArrivals} arrivals (${avgRps} rays/sec${tailSummary})`);
             break;
         }
         case 'error':
@@ -680,43 +1839,77 @@ function handleWorkerMessage(event) {
     }
 }
 
+function setSimulating(running) {
+    state.isSimulating = running;
+    if (dom.stopButton) dom.stopButton.disabled = !running;
+    if (dom.compareSamplersBtn) dom.compareSamplersBtn.disabled = running;
+}
+
+// Stops the run in progress, on the workers or the main thread, and drops its results
+function cancelSimulation() {
+    if (!state.isSimulating) return;
+    if (workerJob && workerPool) {
+        workerJob = null;
+        workerPool.broadcast({ type: 'cancel' });
+    }
+    if (mainThreadRun) {
+        mainThreadRun.cancel();
+        mainThreadRun = null;
+    }
+    setSimulating(false);
+    if (dom.startButton) dom.startButton.disabled = false;
+    setStatus('Simulation cancelled.');
+}
+
+// With the realtime preview on, a geometry edit supersedes whatever is still tracing
+function cancelSimulationForGeometryChange() {
+    if (state.realtimeSimEnabled) cancelSimulation();
+}
+
 function fallbackToSimpleBVH() {
     console.warn('Falling back: disabling worker and using main-thread simulation.');
-    if (workerInstance) {
-        try { workerInstance.terminate(); } catch (err) {
+    if (workerPool) {
+        try { workerPool.terminate(); } catch (err) {
             console.error('Failed to terminate worker cleanly:', err);
         }
     }
-    workerInstance = null;
+    workerPool = null;
+    workerJob = null;
     const useWebWorker = document.getElementById('useWebWorker');
     if (useWebWorker) useWebWorker.checked = false;
     setStatus('Worker unavailable. Using main thread.');
     if (dom.startButton) dom.startButton.disabled = false;
-    state.isSimulating = false;
+    setSimulating(false);
 }
 
 function updateWorkerGeometry() {
-    if (!workerInstance || !state.roomMesh) return;
+    if (!workerPool || !state.roomMesh) return;
+    cancelSimulationForGeometryChange();
 
     state.workerGeometryReady = false;
+    workerGeometryCount = 0;
+    workerGeometryId = nextWorkerRequestId++;
 
     const geometry = state.roomMesh.geometry;
-    const positions = geometry.attributes.position.array;
-    const normals = geometry.attributes.normal.array;
-    const indices = geometry.index ? geometry.index.array : null;
+    const arrays = {
+        positions: geometry.attributes.position.array,
+        normals: geometry.attributes.normal.array,
+        indices: geometry.index ? geometry.index.array : null,
+        triangleMaterials: state.triangleMaterials ?? null
+    };
 
-    workerInstance.postMessage({
+    // The geometry's uuid tells the worker whether it can refit instead of rebuilding
+    workerPool.broadcastArrays(arrays, roomGeometry => ({
         type: 'setGeometry',
         data: {
-            roomGeometry: {
-                positions: Array.from(positions),
-                normals: Array.from(normals),
-                indices: indices ? Array.from(indices) : null
-            },
-            emitterRadius: CONFIG.EMITTER_RADIUS,
-            emitterPosition: { x: 0, y: 0, z: 0 }
+            roomGeometry: { id: geometry.uuid, ...roomGeometry },
+            materials: getMaterialTable(),
+            sourcePosition: getSourcePosition(),
+            receivers: getTracedReceivers().map(({ id, position }) => ({ id, position })),
+            receiverRadius: CONFIG.RECEIVER_RADIUS,
+            requestId: workerGeometryId
         }
-    });
+    }));
 }
 
 // -----------------------------------------------------------------------------
@@ -761,236 +1954,434 @@ function initAudioContext() {
 }
 
 function runRealtimeSimulation() {
-    if (state.isSimulating) return;
+    if (state.isSimulating || !checkTransducerPlacement()) return;
     
     const useWebWorker = dom.useWebWorker?.checked ?? true;
     const quickSimParams = {
         numRays: 5000,  // Quick preview
         // use frequency-dependent absorption only
-        absorptionCoeffs: {
-            200: getNumericInputValue('absorption200', 0.1),
-            800: getNumericInputValue('absorption800', 0.15),
-            3200: getNumericInputValue('absorption3200', 0.2),
-            10000: getNumericInputValue('absorption10000', 0.25)
-        },
-        freqBands: CONFIG.FREQ_BANDS,
+        absorptionCoeffs: getAbsorptionCoefficients(),
+        materials: getMaterialTable(),
+        directivity: getDirectivityConfig(),
+        sampling: getSamplingConfig(dom.randomSeed?.value ?? ''),
+        freqBands: getFrequencyBands(),
         seed: dom.randomSeed?.value ?? '',
-        speedOfSound: CONFIG.SPEED_OF_SOUND,
+        ...getAirProperties(getFrequencyBands()),
         maxBounces: state.maxBounces,
         batchSize: 5000,
-        rrConfig: normalizeRayRadiosityConfig(getRayRadiosityConfig())
+        rrConfig: normalizeRayRadiosityConfig(getRayRadiosityConfig()),
+        termination: getTerminationConfig(),
+        imageSource: normalizeImageSourceConfig(getImageSourceConfig()),
+        diffraction: normalizeDiffractionConfig(getDiffractionConfig())
     };
 
-    if (useWebWorker && workerInstance && state.workerGeometryReady) {
-        state.isSimulating = true;
+    if (useWebWorker && workerPool && state.workerGeometryReady) {
+        setSimulating(true);
         setStatus('Quick preview...');
-        workerInstance.postMessage({
-            type: 'simulate',
-            data: quickSimParams
-        });
+        startWorkerSimulation(quickSimParams, 'preview');
     } else if (!useWebWorker) {
         runQuickMainThreadSimulation(quickSimParams);
     }
 }
 
 function runQuickMainThreadSimulation(params) {
-    state.isSimulating = true;
+    setSimulating(true);
     setStatus('Quick preview (main thread)...');
 
-    if (!state.roomMesh || !emitterMesh) {
-        console.warn('Simulation unavailable: missing room or emitter mesh.');
+    if (!state.roomMesh || receiverMeshes.length === 0) {
+        console.warn('Simulation unavailable: missing room or receiver mesh.');
         setStatus('Simulation unavailable: scene not ready.');
-        state.isSimulating = false;
+        setSimulating(false);
         return;
     }
 
+    const { ctx, freqBands, seed, lateArrivalCount } = traceQuickMainThread(params);
+
+    handleSimulationResult(ctx.arrivalsByBand, freqBands, ctx.lateTail, seed);
+
+    const totalArrivals = countReceiverArrivals(ctx.arrivalsByBand);
+    const tailSummary = ctx.useRayRadiosity && lateArrivalCount
+        ? `, ${lateArrivalCount} RR pulses`
+        : '';
+    setStatus(`Quick preview: ${totalArrivals} arrivals${tailSummary}`);
+    setSimulating(false);
+}
+
+// Traces a whole run in one go on the main thread and finalises its arrivals
+function traceQuickMainThread(params) {
     const seed = params.seed || '';
     const restoreRandom = Math.random;
     seedrandom(seed || undefined, { global: true });
 
-    const freqBands = (params.freqBands ?? CONFIG.FREQ_BANDS).slice().sort((a, b) => a - b);
+    const freqBands = (params.freqBands ?? getFrequencyBands()).slice().sort((a, b) => a - b);
     const absorptionCoeffs = params.absorptionCoeffs ?? {};
     const numRays = params.numRays || 1500;
     const maxBounces = params.maxBounces ?? state.maxBounces;
-    const speedOfSound = params.speedOfSound ?? CONFIG.SPEED_OF_SOUND;
+    const airProperties = getAirProperties(freqBands);
+    const speedOfSound = params.speedOfSound ?? airProperties.speedOfSound;
+    const airAttenuation = params.airAttenuation ?? airProperties.airAttenuation;
     const rrConfig = normalizeRayRadiosityConfig(params.rrConfig ?? getRayRadiosityConfig());
-    const useRayRadiosity = rrConfig.enabled;
-    const histogramBins = useRayRadiosity ? Math.ceil(rrConfig.maxTime / rrConfig.histogramResolution) : 0;
-
-    const arrivalsByBand = {};
-    freqBands.forEach(freq => {
-        arrivalsByBand[freq] = [];
-    });
-
-    const rrHistograms = useRayRadiosity
-        ? Object.fromEntries(freqBands.map(freq => [freq, new Float32Array(histogramBins)]))
-        : null;
-
-    const emitterRadius = (emitterMesh.geometry?.boundingSphere?.radius) ?? CONFIG.EMITTER_RADIUS;
-    const emitterWorldPos = emitterMesh.getWorldPosition(new THREE.Vector3());
+    const imageSource = normalizeImageSourceConfig(params.imageSource ?? getImageSourceConfig());
+    const diffraction = normalizeDiffractionConfig(params.diffraction ?? getDiffractionConfig());
+    const materials = params.materials ?? getMaterialTable(freqBands);
+    const directivity = params.directivity ?? getDirectivityConfig();
+    const termination = params.termination ?? getTerminationConfig(rrConfig);
+    const sampling = params.sampling ?? getSamplingConfig(seed);
+    const ctx = createTraceContext({ freqBands, speedOfSound, airAttenuation, rrConfig, numRays, absorptionCoeffs, materials, imageSource, diffraction, directivity, sampling, termination });
+    const sourcePosition = getSourcePosition();
 
     const roomIntersects = [];
     const receiverIntersects = [];
 
     for (let i = 0; i < numRays; i++) {
-        vectors.origin.set(0, 0, 0);
-        vectors.direction.randomDirection();
+        vectors.origin.set(sourcePosition.x, sourcePosition.y, sourcePosition.z);
+        ctx.sampleDirection(i, vectors.direction);
 
         let totalDistance = 0;
-        const amplitudes = Object.fromEntries(freqBands.map(freq => [freq, 1.0]));
+        const energies = Object.fromEntries(freqBands.map(freq => [freq, 1.0]));
+        if (ctx.directivity) {
+            // Directivity gains are pressure gains
+            ctx.directivity(vectors.direction, energies);
+            freqBands.forEach(freq => { energies[freq] *= energies[freq]; });
+        }
+        const thresholdEnergy = rayEnergy(energies, freqBands, {}, 0) * ctx.terminationRatio;
 
         for (let bounce = 0; bounce < maxBounces; bounce++) {
             raycaster.set(vectors.origin, vectors.direction);
 
             roomIntersects.length = 0;
-            receiverIntersects.length = 0;
-
             raycaster.intersectObject(state.roomMesh, false, roomIntersects);
-            if (emitterMesh) {
-                raycaster.intersectObject(emitterMesh, false, receiverIntersects);
-            }
 
-            const receiverHit = receiverIntersects.length > 0;
             const roomHit = roomIntersects.length > 0;
-
-            if (
-                receiverHit &&
-                (!roomHit || receiverIntersects[0].distance < roomIntersects[0].distance)
-            ) {
-                const receiverIntersection = receiverIntersects[0];
-                if (receiverIntersection && receiverIntersection.distance > 0.001) {
-                    totalDistance += receiverIntersection.distance;
-                    const arrivalTime = totalDistance / speedOfSound;
-                    freqBands.forEach(freq => {
-                        arrivalsByBand[freq].push({
-                            time: arrivalTime,
-                            amplitude: amplitudes[freq]
-                        });
-                    });
-                    break;
-                }
-            }
+            recordReceiverCrossings(ctx, roomHit ? roomIntersects[0].distance : Infinity, totalDistance, energies, receiverIntersects);
 
             if (!roomHit) break;
 
             const wallHit = roomIntersects[0];
             totalDistance += wallHit.distance;
+            const surface = surfaceAt(ctx, wallHit.faceIndex);
 
             freqBands.forEach(freq => {
-                const absorption = absorptionCoeffs[freq] ?? 0;
-                amplitudes[freq] *= (1.0 - absorption);
-                if (amplitudes[freq] < 0) amplitudes[freq] = 0;
+                const absorption = surface.absorption[freq] ?? 0;
+                energies[freq] *= (1.0 - absorption);
+                if (energies[freq] < 0) energies[freq] = 0;
             });
 
-            if (useRayRadiosity && histogramBins > 0 && bounce >= rrConfig.hybridBounceThreshold && emitterMesh) {
-                vectors.toReceiver.copy(wallHit.point).sub(emitterWorldPos);
-                const distanceToReceiver = Math.max(vectors.toReceiver.length(), Math.max(emitterRadius * 0.5, 0.01));
-                const timeToReceiver = (totalDistance + distanceToReceiver) / speedOfSound;
-
-                if (timeToReceiver <= rrConfig.maxTime) {
-                    const invDistanceTerm = 1.0 / Math.max(4 * Math.PI * distanceToReceiver * distanceToReceiver, 1e-6);
-                    const binIndex = Math.floor(timeToReceiver / rrConfig.histogramResolution);
-                    if (binIndex < histogramBins) {
-                        freqBands.forEach(freq => {
-                            const amp = amplitudes[freq];
-                            if (amp <= 0) return;
-                            const diffuseEnergy = amp * amp * rrConfig.diffuseGain * invDistanceTerm * Math.max(rrConfig.scatteringCoeff, 1e-3);
-                            if (diffuseEnergy > rrConfig.minEnergyThreshold) {
-                                rrHistograms[freq][binIndex] += diffuseEnergy;
-                            }
-                        });
-                    }
-                }
-            }
-
             const faceNormal = wallHit.face?.normal ?? vectors.temp.set(0, 1, 0);
             const worldNormal = vectors.temp.copy(faceNormal)
                 .transformDirection(state.roomMesh.matrixWorld)
                 .normalize();
-            const specularDir = vectors.specular.copy(vectors.direction).reflect(worldNormal);
-            const scatteredDir = rrConfig.scatteringCoeff > 0 ? randomHemisphereDirection(worldNormal) : specularDir;
 
-            vectors.direction.copy(specularDir)
-                .multiplyScalar(1 - rrConfig.scatteringCoeff)
-                .addScaledVector(scatteredDir, rrConfig.scatteringCoeff)
-                .normalize();
+            if (ctx.useRayRadiosity && ctx.histogramBins > 0 && bounce >= rrConfig.hybridBounceThreshold) {
+                depositDiffuseEnergy(ctx, wallHit.point, worldNormal, vectors.direction, totalDistance, energies, surface.scattering);
+            }
+            if (sampleReflectionBranch(surface.scattering, freqBands, ctx.branchWeights)) {
+                vectors.direction.copy(randomHemisphereDirection(worldNormal));
+            } else {
+                vectors.direction.reflect(worldNormal).normalize();
+            }
+            freqBands.forEach(freq => {
+                energies[freq] *= ctx.branchWeights[freq];
+            });
 
             vectors.temp.copy(vectors.direction).multiplyScalar(0.001);
             vectors.origin.copy(wallHit.point).add(vectors.temp);
-        }
-    }
 
-    let synthesizedLateArrivals = 0;
-
-    if (useRayRadiosity && histogramBins > 0 && rrHistograms) {
-        freqBands.forEach(freq => {
-            const pulses = synthesizeRadiosityPulses(
-                rrHistograms[freq],
-                rrConfig.histogramResolution,
-                rrConfig.poissonDensity,
-                rrConfig.minEnergyThreshold
-            );
-            if (pulses.length > 0) {
-                arrivalsByBand[freq].push(...pulses);
-                synthesizedLateArrivals += pulses.length;
-            }
-            arrivalsByBand[freq].sort((a, b) => a.time - b.time);
-        });
-    } else {
-        freqBands.forEach(freq => {
-            arrivalsByBand[freq].sort((a, b) => a.time - b.time);
-        });
+            if (!continueRay(ctx, energies, totalDistance, thresholdEnergy)) break;
+        }
     }
 
-    plotMultiBandImpulseResponse(arrivalsByBand, freqBands);
-
-    const totalArrivals = Object.values(arrivalsByBand).reduce((s, a) => s + a.length, 0);
-    const tailSummary = useRayRadiosity && synthesizedLateArrivals
-        ? `, ${synthesizedLateArrivals} RR pulses`
-        : '';
-    setStatus(`Quick preview: ${totalArrivals} arrivals${tailSummary}`);
-
+    const lateArrivalCount = finalizeReceiverArrivals(ctx);
     Math.random = restoreRandom;
-    state.isSimulating = false;
+    return { ctx, freqBands, seed, lateArrivalCount };
 }
 
 
 
-function createIRAudioBuffer(arrivals, sampleRateOverride) {
+// Mono unless an encoder spreads each arrival over several channels, either as
+// per-channel gains or, for binaural, as a per-channel kernel. With
+// oversampling the arrivals are placed at a multiple of the output rate and
+// decimated; the encoder must then be built for the oversampled rate. Noise
+// tails from synthesizeLateTail() are added at the same rate after placement.
+function createIRAudioBuffer(arrivals, sampleRateOverride, encoder = null, placement = getArrivalPlacementConfig(), noiseTails = []) {
     initAudioContext();
     const sampleRate = sampleRateOverride || audioContext.sampleRate;
+    const channelCount = encoder?.channels ?? 1;
 
-    if (arrivals.length === 0) {
-        return audioContext.createBuffer(1, 1, sampleRate);
+    if (arrivals.length === 0 && noiseTails.length === 0) {
+        return audioContext.createBuffer(channelCount, 1, sampleRate);
     }
 
-    const maxTime = arrivals.reduce((max, arr) => Math.max(max, arr.time), 0);
+    const maxTime = Math.max(
+        arrivals.reduce((max, arr) => Math.max(max, arr.time), 0),
+        ...noiseTails.map(tail => tail.envelope.length * tail.binSize)
+    );
     const duration = Math.max(maxTime + 0.5, 1);
     const bufferLength = Math.ceil(duration * sampleRate);
-    const irBuffer = audioContext.createBuffer(1, bufferLength, sampleRate);
-    const bufferData = irBuffer.getChannelData(0);
+    const factor = placement.oversampling;
+    const renderRate = sampleRate * factor;
+    const channelData = Array.from({ length: channelCount }, () => new Float32Array(bufferLength * factor));
+    const place = createArrivalPlacer(placement);
+    const gains = new Array(channelCount).fill(1);
 
     for (const arrival of arrivals) {
-        const exactSample = arrival.time * sampleRate;
-        const baseSample = Math.floor(exactSample);
-        const fraction = exactSample - baseSample;
-
-        if (baseSample < bufferLength - 1) {
-            bufferData[baseSample] += arrival.amplitude * (1 - fraction);
-            bufferData[baseSample + 1] += arrival.amplitude * fraction;
-        } else if (baseSample < bufferLength) {
-            bufferData[baseSample] += arrival.amplitude;
+        const position = arrival.time * renderRate;
+
+        if (encoder?.kernels) {
+            const kernels = encoder.kernels(arrival);
+            for (let c = 0; c < channelCount; c++) {
+                const kernel = kernels[c];
+                for (let k = 0; k < kernel.length; k++) {
+                    place(channelData[c], position + k, arrival.amplitude * kernel[k]);
+                }
+            }
+            continue;
+        }
+        if (encoder) encoder.encode(arrival, gains);
+
+        for (let c = 0; c < channelCount; c++) {
+            place(channelData[c], position, arrival.amplitude * gains[c]);
         }
     }
+    noiseTails.forEach(tail => addNoiseTail(channelData, tail, encoder, renderRate));
+
+    const irBuffer = audioContext.createBuffer(channelCount, bufferLength, sampleRate);
+    channelData.forEach((data, c) => irBuffer.copyToChannel(decimate(data, factor).subarray(0, bufferLength), c));
+    return irBuffer;
+}
 
-    const maxSample = bufferData.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
-    if (maxSample > 1.0) {
-        for (let i = 0; i < bufferData.length; i++) bufferData[i] /= maxSample;
+// Shaped noise is mixed in sample by sample instead of as arrivals. Each
+// channel takes a noise shared by all channels, weighted for the bin's mean
+// arrival direction, plus one of its own for the diffuse remainder; the
+// encoder's noiseGains() sets both per histogram bin.
+function addNoiseTail(channelData, tail, encoder, sampleRate) {
+    const { envelope, binSize, crossfade, directions, directionEnergy, channel, random } = tail;
+    const channelCount = channelData.length;
+    const shared = renderNoiseTail(envelope, binSize, sampleRate, crossfade, random);
+    const own = encoder?.independentNoise
+        ? Array.from({ length: channelCount }, () => renderNoiseTail(envelope, binSize, sampleRate, crossfade, random))
+        : null;
+    const sharedGains = new Array(channelCount).fill(1);
+    const ownGains = new Array(channelCount).fill(0);
+    const mean = new THREE.Vector3();
+    const length = Math.min(shared.length, channelData[0].length);
+    const binLength = binSize * sampleRate;
+
+    let bin = -1;
+    for (let n = 0; n < length; n++) {
+        if (Math.floor(n / binLength) !== bin) {
+            bin = Math.floor(n / binLength);
+            if (encoder) encoder.noiseGains(binMeanDirection(directions, directionEnergy, bin, mean), channel, sharedGains, ownGains);
+        }
+        for (let c = 0; c < channelCount; c++) {
+            channelData[c][n] += sharedGains[c] * shared[n] + (own ? ownGains[c] * own[c][n] : 0);
+        }
     }
+}
+
+function getArrivalPlacementConfig() {
+    const defaults = CONFIG.DEFAULTS;
+    const method = ARRIVAL_PLACEMENTS[dom.arrivalPlacement?.value] ? dom.arrivalPlacement.value : defaults.arrivalPlacement;
+    const oversampling = Number(dom.irOversampling?.value);
+    return {
+        method,
+        taps: readIntInput(dom.sincTaps, defaults.sincTaps, [4, 64]),
+        oversampling: OVERSAMPLING_FACTORS.includes(oversampling) ? oversampling : defaults.irOversampling
+    };
+}
+
+// Output rate of the IR times the oversampling factor
+function getIRRenderRate(placement = getArrivalPlacementConfig()) {
+    initAudioContext();
+    return audioContext.sampleRate * placement.oversampling;
+}
+
+function populatePlacementSelects() {
+    if (dom.arrivalPlacement) {
+        dom.arrivalPlacement.innerHTML = '';
+        Object.entries(ARRIVAL_PLACEMENTS).forEach(([id, placement]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = placement.label;
+            dom.arrivalPlacement.appendChild(option);
+        });
+        dom.arrivalPlacement.value = CONFIG.DEFAULTS.arrivalPlacement;
+    }
+    if (dom.irOversampling) {
+        dom.irOversampling.innerHTML = '';
+        OVERSAMPLING_FACTORS.forEach(factor => {
+            const option = document.createElement('option');
+            option.value = factor;
+            option.textContent = factor === 1 ? 'Off' : `${factor}×`;
+            dom.irOversampling.appendChild(option);
+        });
+        dom.irOversampling.value = CONFIG.DEFAULTS.irOversampling;
+    }
+}
 
+function getIRNormalization() {
+    return IR_NORMALIZATION_MODES[dom.irNormalization?.value] ? dom.irNormalization.value : CONFIG.DEFAULTS.irNormalization;
+}
+
+function populateIRNormalizationSelect() {
+    if (!dom.irNormalization) return;
+    dom.irNormalization.innerHTML = '';
+    Object.entries(IR_NORMALIZATION_MODES).forEach(([id, mode]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = mode.label;
+        dom.irNormalization.appendChild(option);
+    });
+    dom.irNormalization.value = CONFIG.DEFAULTS.irNormalization;
+}
+
+// One gain for the whole IR, so band balance and channel balance both survive
+function normalizeIRBuffer(irBuffer) {
+    const channels = Array.from({ length: irBuffer.numberOfChannels }, (_, c) => irBuffer.getChannelData(c));
+    const { peak } = normalizeImpulseResponse(channels, getIRNormalization());
+    if (peak > 1) {
+        console.warn(`Impulse response peaks at +${(20 * Math.log10(peak)).toFixed(1)} dBFS and will clip when exported`);
+    }
     return irBuffer;
 }
 
+const IR_FORMATS = ['mono', 'stereo', 'foa', 'binaural'];
+
+function getIRFormat() {
+    return IR_FORMATS.includes(dom.irFormat?.value) ? dom.irFormat.value : 'mono';
+}
+
+// The bundled spherical-head set is built on demand at the render rate
+function getHRIRRenderer(sampleRate) {
+    const source = state.hrirSet ?? null;
+    if (hrirRenderer?.source === source && hrirRenderer.set.sampleRate === sampleRate) return hrirRenderer;
+
+    const set = source ? resampleHRIRSet(source, sampleRate) : createSphericalHeadHRIRSet(sampleRate);
+    hrirRenderer = { source, set, lookup: createHRIRLookup(set), diffuse: diffuseFieldGains(set) };
+    return hrirRenderer;
+}
+
+function updateHRIRSetName() {
+    if (dom.hrirSetName) dom.hrirSetName.textContent = state.hrirSet?.name ?? 'Spherical head model';
+}
+
+async function loadHRIRFiles(files) {
+    try {
+        const jsonFile = files.find(file => /\.json$/i.test(file.name));
+        const wavFile = files.find(file => /\.wav$/i.test(file.name));
+        if (!jsonFile) throw new Error('Select a JSON HRIR set, or a JSON manifest with its WAV');
+
+        const text = await jsonFile.text();
+        if (wavFile) {
+            initAudioContext();
+            const audioBuffer = await audioContext.decodeAudioData(await wavFile.arrayBuffer());
+            state.hrirSet = hrirSetFromWav(text, audioBuffer);
+        } else {
+            state.hrirSet = parseHRIRSet(text);
+        }
+        updateHRIRSetName();
+        setStatus(`Loaded HRIR set "${state.hrirSet.name}" (${state.hrirSet.left.length} directions)`);
+        if (getIRFormat() === 'binaural') loadReceiverImpulseResponse(state.irReceiverId);
+    } catch (error) {
+        console.error('HRIR import failed:', error);
+        setStatus(`HRIR import failed: ${error.message}`);
+    }
+}
+
+function getListenerAzimuth() {
+    return readFloatInput(dom.listenerAzimuth, CONFIG.DEFAULTS.listenerAzimuth, [-180, 180]);
+}
+
+// Encoder for the selected output format at `sampleRate`, the rate IRs are
+// rendered at; null renders a mono IR
+function getIREncoder(sampleRate = getIRRenderRate()) {
+    const format = getIRFormat();
+    if (format === 'mono') return null;
+    const frame = createListenerFrame(getListenerAzimuth());
+
+    if (format === 'stereo') {
+        const { preset, pattern } = getMicArrayConfig();
+        const aims = layoutArrayCapsules(preset, { x: 0, y: 0, z: 0 }, frame).map(capsule => capsule.aim);
+        const diffuse = capsuleDiffuseGain(pattern);
+        return {
+            channels: 2,
+            encode: (arrival, gains) => {
+                gains.fill(0);
+                gains[arrival.channel] = arrival.direction ? capsuleGain(pattern, arrival.direction, aims[arrival.channel]) : 1;
+                return gains;
+            },
+            // Each capsule has its own tail; only its level depends on direction
+            noiseGains: (mean, channel, shared) => {
+                const directional = mean.lengthSq();
+                const gain = directional > 0 ? capsuleGain(pattern, mean.clone().normalize(), aims[channel]) : 0;
+                shared.fill(0);
+                shared[channel] = Math.sqrt(directional * gain * gain + (1 - directional) * diffuse * diffuse);
+            }
+        };
+    }
+
+    if (format === 'binaural') {
+        const { set, lookup, diffuse } = getHRIRRenderer(sampleRate);
+        const { forward, left, up } = frame;
+        const frontIndex = lookup(1, 0, 0);
+        return {
+            channels: 2,
+            // Noise tails are treated as diffuse: uncorrelated ears at the set's average level
+            independentNoise: true,
+            noiseGains: (mean, channel, shared, own) => {
+                shared.fill(0);
+                own[0] = diffuse[0];
+                own[1] = diffuse[1];
+            },
+            kernels: (arrival) => {
+                const d = arrival.direction;
+                const index = d
+                    ? lookup(
+                        d.x * forward.x + d.y * forward.y + d.z * forward.z,
+                        d.x * left.x + d.y * left.y + d.z * left.z,
+                        d.x * up.x + d.y * up.y + d.z * up.z
+                    )
+                    : frontIndex;
+                return [set.left[index], set.right[index]];
+            }
+        };
+    }
+
+    return {
+        channels: 4,
+        encode: (arrival, gains) => {
+            if (arrival.direction) {
+                encodeFirstOrder(arrival.direction, frame, gains);
+            } else {
+                gains.fill(0);
+                gains[0] = 1;
+            }
+            return gains;
+        },
+        // The mean direction is encoded coherently with W; the remaining
+        // energy fills Y, Z and X as a diffuse field (a third each in SN3D)
+        independentNoise: true,
+        noiseGains: (mean, channel, shared, own) => {
+            encodeFirstOrder(mean, frame, shared);
+            own.fill(Math.sqrt(Math.max(0, 1 - mean.lengthSq()) / 3));
+            own[0] = 0;
+        }
+    };
+}
+
+// The convolver can't take AmbiX directly, so FOA is decoded to stereo for monitoring
+function getMonitoringBuffer(irBuffer) {
+    if (!irBuffer || irBuffer.numberOfChannels !== 4) return irBuffer;
+    const channels = Array.from({ length: 4 }, (_, c) => irBuffer.getChannelData(c));
+    const decoded = audioContext.createBuffer(2, irBuffer.length, irBuffer.sampleRate);
+    decodeFirstOrderToStereo(channels).forEach((data, c) => decoded.copyToChannel(data, c));
+    return decoded;
+}
+
+function updateListenerOutputs() {
+    if (dom.listenerAzimuthOutput) dom.listenerAzimuthOutput.textContent = `${getListenerAzimuth()}°`;
+}
+
 function initWaveSurfer() {
     if (wavesurfer) wavesurfer.destroy();
 
@@ -1047,22 +2438,17 @@ function initWaveSurfer() {
     }
 }
 
-function plotImpulseResponse(arrivals) {
+function plotImpulseResponse(arrivals, noiseTails = []) {
     wavesurfer = initWaveSurfer();
     if (!wavesurfer) return;
 
-    if (arrivals.length === 0) return;
+    if (arrivals.length === 0 && noiseTails.length === 0) return;
 
     initAudioContext();
 
-    const maxAbsAmplitude = arrivals.reduce((max, arr) => Math.max(max, Math.abs(arr.amplitude)), 0);
-    const headroom = 0.988;
-    const normalizedArrivals = maxAbsAmplitude > 0
-        ? arrivals.map(arr => ({ ...arr, amplitude: (arr.amplitude / maxAbsAmplitude) * headroom }))
-        : arrivals;
-
-    const baseBuffer = createIRAudioBuffer(normalizedArrivals);
-    originalImpulseResponseBuffer = baseBuffer;
+    const placement = getArrivalPlacementConfig();
+    const encoder = getIREncoder(getIRRenderRate(placement));
+    originalImpulseResponseBuffer = normalizeIRBuffer(createIRAudioBuffer(arrivals, null, encoder, placement, noiseTails));
     rebuildImpulseResponseFromSource('simulation', true);
 }
 
@@ -1082,56 +2468,95 @@ async function bandpassIRBuffer(irBuffer, centerFreq, Q = 1) {
     return await offline.startRendering();
 }
 
-// Hann window function
-function hannWindow(N) {
-    const win = new Float32Array(N);
-    for (let n = 0; n < N; n++) {
-        win[n] = 0.5 * (1 - Math.cos(2 * Math.PI * n / (N - 1)));
+// The filterbank depends only on the band set and sample rate
+function getCrossoverFilterbank(freqBands, sampleRate) {
+    const key = `${freqBands.map(Number).sort((a, b) => a - b).join(',')}@${sampleRate}`;
+    if (!crossoverCache || crossoverCache.key !== key) {
+        crossoverCache = { key, filterbank: designCrossoverFilterbank(freqBands, sampleRate) };
     }
-    return win;
+    return crossoverCache.filterbank;
 }
 
-// Generate a windowed-sinc FIR bandpass kernel
-function firwinBandpass(numTaps, fLow, fHigh, fs) {
-    const kernel = new Float32Array(numTaps);
-    const win = hannWindow(numTaps);
-    const M = numTaps - 1;
-    const fc1 = fLow / fs;
-    const fc2 = fHigh / fs;
-    for (let n = 0; n < numTaps; n++) {
-        const k = n - M / 2;
-        let h;
-        if (k === 0) {
-            h = 2 * (fc2 - fc1);
-        } else {
-            h = (Math.sin(2 * Math.PI * fc2 * k) - Math.sin(2 * Math.PI * fc1 * k)) / (Math.PI * k);
-        }
-        kernel[n] = h * win[n];
-    }
-    // Normalize kernel to unity gain at DC
-    const sum = kernel.reduce((a, b) => a + b, 0);
-    for (let n = 0; n < numTaps; n++) kernel[n] /= sum;
-    return kernel;
+// Debug view: every band's magnitude response and their sum, which should be flat
+function drawCrossoverResponse() {
+    const canvas = dom.crossoverPlot;
+    if (!canvas || canvas.hidden) return;
+    initAudioContext();
+
+    const sampleRate = audioContext.sampleRate;
+    const { numTaps, kernels } = getCrossoverFilterbank(getFrequencyBands(), sampleRate);
+    const { frequencies, bands, sum } = filterbankResponse(kernels, sampleRate);
+
+    const context = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const minDb = -30;
+    const maxDb = 6;
+    const logMin = Math.log(frequencies[0]);
+    const logRange = Math.log(frequencies[frequencies.length - 1]) - logMin;
+    const x = freq => (Math.log(freq) - logMin) / logRange * width;
+    const y = db => (maxDb - THREE.MathUtils.clamp(db, minDb, maxDb)) / (maxDb - minDb) * height;
+
+    context.clearRect(0, 0, width, height);
+    context.lineWidth = 1;
+    context.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    context.beginPath();
+    [100, 1000, 10000].forEach(freq => { context.moveTo(x(freq), 0); context.lineTo(x(freq), height); });
+    [0, -12, -24].forEach(db => { context.moveTo(0, y(db)); context.lineTo(width, y(db)); });
+    context.stroke();
+
+    const plot = (levels, style, lineWidth) => {
+        context.strokeStyle = style;
+        context.lineWidth = lineWidth;
+        context.beginPath();
+        levels.forEach((db, i) => {
+            if (i === 0) context.moveTo(x(frequencies[i]), y(db));
+            else context.lineTo(x(frequencies[i]), y(db));
+        });
+        context.stroke();
+    };
+    Object.values(bands).forEach(levels => plot(levels, 'rgba(200, 100, 0, 0.7)', 1));
+    plot(sum, '#ffffff', 2);
+
+    const deviation = sum.reduce((max, db) => Math.max(max, Math.abs(db)), 0);
+    context.fillStyle = '#ffffff';
+    context.font = '10px sans-serif';
+    context.fillText(`Sum within ±${deviation.toFixed(3)} dB · ${numTaps} taps`, 6, 12);
 }
 
-// Helper: Apply FIR filter to an AudioBuffer using ConvolverNode
+// Helper: Apply FIR filter to an AudioBuffer using ConvolverNode. The linear-phase
+// kernel's group delay is trimmed so bands of different lengths stay aligned.
+// Channels are filtered one at a time since the convolver only mixes up to stereo.
 async function applyFIRFilter(irBuffer, firKernel) {
-    const offline = new OfflineAudioContext(1, irBuffer.length + firKernel.length, irBuffer.sampleRate);
-    const kernelBuffer = offline.createBuffer(1, firKernel.length, irBuffer.sampleRate);
-    kernelBuffer.copyToChannel(firKernel, 0);
+    const delay = (firKernel.length - 1) / 2;
+    const aligned = new AudioBuffer({
+        numberOfChannels: irBuffer.numberOfChannels,
+        length: irBuffer.length,
+        sampleRate: irBuffer.sampleRate
+    });
 
-    const src = offline.createBufferSource();
-    src.buffer = irBuffer;
-    const convolver = offline.createConvolver();
-    convolver.buffer = kernelBuffer;
+    for (let channel = 0; channel < irBuffer.numberOfChannels; channel++) {
+        const offline = new OfflineAudioContext(1, irBuffer.length + firKernel.length, irBuffer.sampleRate);
+        const kernelBuffer = offline.createBuffer(1, firKernel.length, irBuffer.sampleRate);
+        kernelBuffer.copyToChannel(firKernel, 0);
+        const channelBuffer = offline.createBuffer(1, irBuffer.length, irBuffer.sampleRate);
+        channelBuffer.copyToChannel(irBuffer.getChannelData(channel), 0);
 
-    src.connect(convolver).connect(offline.destination);
-    src.start();
+        const src = offline.createBufferSource();
+        src.buffer = channelBuffer;
+        const convolver = offline.createConvolver();
+        convolver.normalize = false;
+        convolver.buffer = kernelBuffer;
 
-    return await offline.startRendering();
+        src.connect(convolver).connect(offline.destination);
+        src.start();
+
+        const rendered = await offline.startRendering();
+        aligned.copyToChannel(rendered.getChannelData(0).subarray(delay, delay + irBuffer.length), channel);
+    }
+    return aligned;
 }
 
-async function plotMultiBandImpulseResponse(arrivalsByBand, freqBands) {
+async function plotMultiBandImpulseResponse(arrivalsByBand, freqBands, lateTail = () => ({ pulses: [], noise: [] })) {
     wavesurfer = initWaveSurfer();
     if (!wavesurfer) return;
 
@@ -1139,39 +2564,27 @@ async function plotMultiBandImpulseResponse(arrivalsByBand, freqBands) {
 
     console.log('Processing multi-band impulse response (FIR):', freqBands);
 
-    // FIR filter parameters
-    const numTaps = 257; // Odd number, e.g. 101-513 for sharper filters
-    const sampleRate = audioContext.sampleRate;
+    const placement = getArrivalPlacementConfig();
+    const encoder = getIREncoder(getIRRenderRate(placement));
+    const filterbank = getCrossoverFilterbank(freqBands, audioContext.sampleRate);
 
-    // Create and FIR-filter IR buffer for each frequency band
+    // Create and filter an IR buffer for each band of the crossover filterbank.
+    // Bands keep their absolute level; the combined IR is normalised once.
     const irBuffers = {};
     for (const freq of freqBands) {
-        const arrivals = arrivalsByBand[freq];
-        if (arrivals && arrivals.length > 0) {
-            const maxAbsAmplitude = arrivals.reduce((max, arr) => Math.max(max, Math.abs(arr.amplitude)), 0);
-            const headroom = 0.988;
-            const normalizedArrivals = maxAbsAmplitude > 0
-                ? arrivals.map(arr => ({ ...arr, amplitude: (arr.amplitude / maxAbsAmplitude) * headroom }))
-                : arrivals;
-
-            const rawBuffer = createIRAudioBuffer(normalizedArrivals);
-
-            // FIR bandpass kernel for this band
-            const centerFreq = parseFloat(freq);
-            const bandwidth = centerFreq; // e.g. 1 octave bandwidth; adjust as needed
-            const fLow = Math.max(centerFreq - bandwidth / 2, 20); // avoid sub-audible
-            const fHigh = Math.min(centerFreq + bandwidth / 2, sampleRate / 2 - 1);
-
-            const firKernel = firwinBandpass(numTaps, fLow, fHigh, sampleRate);
-
-            // Apply FIR filter
-            irBuffers[freq] = await applyFIRFilter(rawBuffer, firKernel);
+        // Bands above Nyquist have no kernel
+        const kernel = filterbank.kernels[freq];
+        if (!kernel) continue;
+        const tail = lateTail(freq);
+        const arrivals = (arrivalsByBand[freq] ?? []).concat(tail.pulses);
+        if (arrivals.length > 0 || tail.noise.length > 0) {
+            irBuffers[freq] = await applyFIRFilter(createIRAudioBuffer(arrivals, null, encoder, placement, tail.noise), kernel);
         }
     }
 
-    // Combine frequency bands into single IR using filterbank
+    // The crossover bands sum to a flat response
     const combinedBuffer = combineFrequencyBands(irBuffers, freqBands);
-    originalImpulseResponseBuffer = combinedBuffer;
+    originalImpulseResponseBuffer = combinedBuffer && normalizeIRBuffer(combinedBuffer);
     if (combinedBuffer) {
         setStatus('Multi-band Impulse Response loaded!');
         rebuildImpulseResponseFromSource('simulation', true);
@@ -1185,37 +2598,33 @@ function combineFrequencyBands(irBuffers, freqBands) {
     
     // Find longest buffer
     let maxLength = 0;
+    let channelCount = 1;
     freqs.forEach(freq => {
         if (irBuffers[freq]) {
             maxLength = Math.max(maxLength, irBuffers[freq].length);
+            channelCount = Math.max(channelCount, irBuffers[freq].numberOfChannels);
         }
     });
     
     if (maxLength === 0) return null;
     
     const sampleRate = audioContext.sampleRate;
-    const combinedBuffer = audioContext.createBuffer(1, maxLength, sampleRate);
-    const combinedData = combinedBuffer.getChannelData(0);
+    const combinedBuffer = audioContext.createBuffer(channelCount, maxLength, sampleRate);
+    const combinedChannels = Array.from({ length: channelCount }, (_, c) => combinedBuffer.getChannelData(c));
     
     // Sum all bands
     freqs.forEach(freq => {
         const irBuffer = irBuffers[freq];
         if (!irBuffer) return;
-        const irData = irBuffer.getChannelData(0);
-        for (let i = 0; i < irData.length; i++) {
-            combinedData[i] += irData[i];
+        for (let c = 0; c < irBuffer.numberOfChannels; c++) {
+            const irData = irBuffer.getChannelData(c);
+            const combinedData = combinedChannels[c];
+            for (let i = 0; i < irData.length; i++) {
+                combinedData[i] += irData[i];
+            }
         }
     });
 
-    // Normalize to headroom (e.g., 0.98)
-    const maxSample = combinedData.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
-    if (maxSample > 0) {
-        const headroom = 0.98;
-        for (let i = 0; i < combinedData.length; i++) {
-            combinedData[i] = (combinedData[i] / maxSample) * headroom;
-        }
-    }
-    
     return combinedBuffer;
 }
 
@@ -1223,9 +2632,13 @@ function dbToLinear(db) {
     return Math.pow(10, db / 20);
 }
 
+// More than two channels are written as WAVE_FORMAT_EXTENSIBLE with no speaker
+// mask, which is how AmbiX B-format files are tagged
 function audioBufferToWav(aBuffer) {
     const numOfChan = aBuffer.numberOfChannels;
-    const length = aBuffer.length * numOfChan * 2 + 44;
+    const extensible = numOfChan > 2;
+    const headerLength = extensible ? 68 : 44;
+    const length = aBuffer.length * numOfChan * 2 + headerLength;
     const buffer = new ArrayBuffer(length);
     const view = new DataView(buffer);
     const channels = [];
@@ -1246,13 +2659,23 @@ function audioBufferToWav(aBuffer) {
     setUint32(length - 8);
     setUint32(0x45564157);
     setUint32(0x20746d66);
-    setUint32(16);
-    setUint16(1);
+    setUint32(extensible ? 40 : 16);
+    setUint16(extensible ? 0xfffe : 1);
     setUint16(numOfChan);
     setUint32(aBuffer.sampleRate);
     setUint32(aBuffer.sampleRate * 2 * numOfChan);
     setUint16(numOfChan * 2);
     setUint16(16);
+    if (extensible) {
+        setUint16(22);
+        setUint16(16);
+        setUint32(0);
+        // KSDATAFORMAT_SUBTYPE_PCM GUID
+        setUint32(0x00000001);
+        setUint32(0x00100000);
+        setUint32(0xaa000080);
+        setUint32(0x719b3800);
+    }
     setUint32(0x61746164);
     setUint32(length - pos - 4);
 
@@ -1416,23 +2839,31 @@ function getRayRadiosityConfig() {
     const defaults = CONFIG.RAY_RADIOSITY;
     const enabled = dom.rrEnabled ? dom.rrEnabled.checked : defaults.enabled;
 
-    const scattering = readFloatInput(dom.rrScattering, defaults.scatteringCoeff, [0, 1]);
+    const scatteringCoeffs = getScatteringCoefficients();
+    const scatteringValues = Object.values(scatteringCoeffs);
     const histogramResolution = readFloatInput(dom.rrHistogramResolution, defaults.histogramResolution, [0.0005, 0.05]);
     const maxTime = readFloatInput(dom.rrMaxTime, defaults.maxTime, [histogramResolution, 20]);
     const hybridBounceThreshold = readIntInput(dom.rrHybridBounce, defaults.hybridBounceThreshold, [0, 64]);
     const poissonDensity = readFloatInput(dom.rrPoissonDensity, defaults.poissonDensity, [0.1, 128]);
     const diffuseGain = readFloatInput(dom.rrDiffuseGain, defaults.diffuseGain, [0.01, 10]);
     const minEnergyThreshold = readFloatInput(dom.rrMinEnergy, defaults.minEnergyThreshold, [1e-12, 1e-3]);
+    const pulseDirections = dom.rrPulseDirections?.value === 'random' ? 'random' : defaults.pulseDirections;
+    const tailMode = TAIL_MODES[dom.rrTailMode?.value] ? dom.rrTailMode.value : defaults.tailMode;
+    const crossfadeTime = readFloatInput(dom.rrCrossfade, defaults.crossfadeTime, [0, 0.5]);
 
     return {
         enabled,
-        scatteringCoeff: scattering,
+        scatteringCoeff: scatteringValues.reduce((sum, value) => sum + value, 0) / Math.max(scatteringValues.length, 1),
+        scatteringCoeffs,
         histogramResolution,
         maxTime,
         hybridBounceThreshold,
         poissonDensity,
         diffuseGain,
-        minEnergyThreshold
+        minEnergyThreshold,
+        pulseDirections,
+        tailMode,
+        crossfadeTime
     };
 }
 
@@ -1444,26 +2875,265 @@ function normalizeRayRadiosityConfig(configOverrides) {
     };
 
     cfg.scatteringCoeff = THREE.MathUtils.clamp(cfg.scatteringCoeff ?? base.scatteringCoeff, 0, 1);
+    // Bands without their own coefficient use the broadband value
+    cfg.scatteringCoeffs = Object.fromEntries(getFrequencyBands().map(freq => [
+        freq,
+        THREE.MathUtils.clamp(cfg.scatteringCoeffs?.[freq] ?? cfg.scatteringCoeff, 0, 1)
+    ]));
     cfg.histogramResolution = Math.max(0.0005, cfg.histogramResolution ?? base.histogramResolution);
     cfg.maxTime = Math.max(cfg.histogramResolution, cfg.maxTime ?? base.maxTime);
     cfg.hybridBounceThreshold = Math.max(0, Math.floor(cfg.hybridBounceThreshold ?? base.hybridBounceThreshold));
     cfg.poissonDensity = Math.max(0.1, cfg.poissonDensity ?? base.poissonDensity);
     cfg.minEnergyThreshold = Math.max(1e-12, cfg.minEnergyThreshold ?? base.minEnergyThreshold);
     cfg.diffuseGain = Math.max(0.01, cfg.diffuseGain ?? base.diffuseGain);
+    cfg.pulseDirections = cfg.pulseDirections === 'random' ? 'random' : 'surface';
+    cfg.tailMode = TAIL_MODES[cfg.tailMode] ? cfg.tailMode : base.tailMode;
+    cfg.crossfadeTime = Math.max(0, cfg.crossfadeTime ?? base.crossfadeTime);
     cfg.enabled = !!cfg.enabled;
 
     return cfg;
 }
 
+function populateTailModeSelect() {
+    if (!dom.rrTailMode) return;
+    dom.rrTailMode.innerHTML = '';
+    Object.entries(TAIL_MODES).forEach(([id, mode]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = mode.label;
+        dom.rrTailMode.appendChild(option);
+    });
+    dom.rrTailMode.value = CONFIG.RAY_RADIOSITY.tailMode;
+}
+
 function updateRayRadiosityOutputs() {
     const cfg = getRayRadiosityConfig();
-    if (dom.rrScatteringOutput) dom.rrScatteringOutput.textContent = cfg.scatteringCoeff.toFixed(2);
     if (dom.rrHistogramResolutionOutput) dom.rrHistogramResolutionOutput.textContent = cfg.histogramResolution.toFixed(4) + ' s';
     if (dom.rrMaxTimeOutput) dom.rrMaxTimeOutput.textContent = cfg.maxTime.toFixed(2) + ' s';
     if (dom.rrHybridBounceOutput) dom.rrHybridBounceOutput.textContent = `${cfg.hybridBounceThreshold}`;
     if (dom.rrPoissonDensityOutput) dom.rrPoissonDensityOutput.textContent = cfg.poissonDensity.toFixed(1);
     if (dom.rrDiffuseGainOutput) dom.rrDiffuseGainOutput.textContent = cfg.diffuseGain.toFixed(2);
     if (dom.rrMinEnergyOutput) dom.rrMinEnergyOutput.textContent = cfg.minEnergyThreshold.toExponential(1);
+    if (dom.rrCrossfadeOutput) dom.rrCrossfadeOutput.textContent = cfg.crossfadeTime.toFixed(3) + ' s';
+    // Pulse density only drives the Poisson tail, the crossfade only the noise tails
+    if (dom.rrPoissonDensity) dom.rrPoissonDensity.disabled = cfg.tailMode !== 'poisson';
+    if (dom.rrCrossfade) dom.rrCrossfade.disabled = cfg.tailMode === 'poisson';
+}
+
+// Rotation of the stratified pattern comes from its own stream so it does not
+// shift the seeded draws the tracers make
+function getSamplingConfig(seed = dom.randomSeed?.value ?? '', sampler = dom.raySampler?.value) {
+    const method = DIRECTION_SAMPLERS[sampler] ? sampler : CONFIG.DEFAULTS.raySampler;
+    const random = seed ? seedrandom(`${seed}:directions`) : Math.random;
+    return { method, rotation: randomRotation(random) };
+}
+
+function populateRaySamplerSelect() {
+    if (!dom.raySampler) return;
+    dom.raySampler.innerHTML = '';
+    Object.entries(DIRECTION_SAMPLERS).forEach(([id, sampler]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = sampler.label;
+        dom.raySampler.appendChild(option);
+    });
+    dom.raySampler.value = CONFIG.DEFAULTS.raySampler;
+}
+
+// Traces every sampler at the current ray count a few times under derived
+// seeds and compares how much the early energy at the IR receiver moves
+// between runs. Image sources, diffraction and the tail are left out so only
+// the traced rays are measured.
+function runSamplerComparison() {
+    if (state.isSimulating || !checkTransducerPlacement()) return;
+    const useWorker = (dom.useWebWorker?.checked ?? true) && workerPool;
+    if (useWorker && !state.workerGeometryReady) {
+        setStatus('Waiting for geometry update...');
+        return;
+    }
+    if (!useWorker && (!state.roomMesh || receiverMeshes.length === 0)) {
+        setStatus('Simulation unavailable: scene not ready.');
+        return;
+    }
+
+    const { runs: runCount, earlyWindow } = CONFIG.SAMPLER_COMPARISON;
+    const receiverIds = getTracedReceivers().map(receiver => receiver.id);
+    const receiverId = receiverIds.includes(state.irReceiverId) ? state.irReceiverId : receiverIds[0];
+    const baseSeed = dom.randomSeed?.value || Math.random().toString(36).slice(2);
+    const baseParams = {
+        numRays: getIntegerInputValue('numRays', 1000),
+        maxBounces: state.maxBounces,
+        useFreqDependent: true,
+        absorptionCoeffs: getAbsorptionCoefficients(),
+        materials: getMaterialTable(),
+        directivity: getDirectivityConfig(),
+        freqBands: getFrequencyBands(),
+        ...getAirProperties(getFrequencyBands()),
+        batchSize: 5000,
+        rrConfig: normalizeRayRadiosityConfig({ ...getRayRadiosityConfig(), enabled: false }),
+        termination: getTerminationConfig(),
+        imageSource: normalizeImageSourceConfig({ ...getImageSourceConfig(), enabled: false }),
+        diffraction: normalizeDiffractionConfig({ ...getDiffractionConfig(), enabled: false })
+    };
+    const methods = Object.keys(DIRECTION_SAMPLERS);
+    const runs = methods.flatMap(method => Array.from({ length: runCount }, (_, run) => ({ method, run })));
+    const energies = Object.fromEntries(methods.map(method => [method, []]));
+
+    setSimulating(true);
+    if (dom.startButton) dom.startButton.disabled = true;
+
+    const next = (index) => {
+        if (index === runs.length) {
+            showSamplerComparison(energies, baseParams.numRays);
+            setSimulating(false);
+            if (dom.startButton) dom.startButton.disabled = false;
+            setStatus(`Sampler comparison done: ${runCount} runs of ${baseParams.numRays} rays each`);
+            return;
+        }
+        const { method, run } = runs[index];
+        // The same seeds for every sampler, so they differ only in their directions
+        const seed = `${baseSeed}:compare:${run}`;
+        const params = { ...baseParams, seed, sampling: getSamplingConfig(seed, method) };
+        const label = `Comparing samplers: ${DIRECTION_SAMPLERS[method].label} ${run + 1}/${runCount}`;
+        const record = (arrivalsByReceiver) => {
+            energies[method].push(earlyEnergy(arrivalsByReceiver[receiverId], earlyWindow));
+            next(index + 1);
+        };
+
+        if (useWorker) {
+            startWorkerSimulation(params, 'compare', { label, onComplete: message => record(message.arrivalsByBand) });
+        } else {
+            setStatus(`${label} (main thread)...`);
+            // Yield between runs so the status shows and Stop can cancel
+            setTimeout(() => {
+                if (state.isSimulating) record(traceQuickMainThread(params).ctx.arrivalsByBand);
+            }, 0);
+        }
+    };
+    next(0);
+}
+
+function showSamplerComparison(energies, numRays) {
+    const table = dom.samplerComparison;
+    if (!table) return;
+    const results = Object.entries(energies).map(([method, runs]) => ({ method, ...energySpread(runs) }));
+    // Levels are shown against the plain random sampler
+    const reference = results.find(result => result.method === 'random')?.levelDb ?? results[0].levelDb;
+
+    table.innerHTML = '';
+    const caption = table.createCaption();
+    caption.textContent = `Early energy over ${CONFIG.SAMPLER_COMPARISON.runs} runs of ${numRays} rays`;
+    const header = table.createTHead().insertRow();
+    ['Sampler', 'Level', 'Spread'].forEach(text => {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        header.appendChild(cell);
+    });
+    const body = table.createTBody();
+    results.forEach(({ method, levelDb, spreadDb }) => {
+        const row = body.insertRow();
+        row.insertCell().textContent = DIRECTION_SAMPLERS[method].label;
+        row.insertCell().textContent = `${levelDb - reference >= 0 ? '+' : ''}${(levelDb - reference).toFixed(2)} dB`;
+        row.insertCell().textContent = `±${spreadDb.toFixed(2)} dB`;
+    });
+    table.hidden = false;
+}
+
+function getTerminationConfig(rrConfig = null) {
+    const thresholdDb = readFloatInput(dom.terminationDb, CONFIG.TERMINATION.thresholdDb, [10, 200]);
+    return {
+        thresholdDb,
+        maxTime: (rrConfig ?? normalizeRayRadiosityConfig(getRayRadiosityConfig())).maxTime
+    };
+}
+
+function updateTerminationOutputs() {
+    if (dom.terminationDbOutput) dom.terminationDbOutput.textContent = `${getTerminationConfig().thresholdDb} dB`;
+}
+
+function getImageSourceConfig() {
+    const defaults = CONFIG.IMAGE_SOURCE;
+    const enabled = dom.ismEnabled ? dom.ismEnabled.checked : defaults.enabled;
+    const maxOrder = readIntInput(dom.ismOrder, defaults.maxOrder, [0, 4]);
+    const crossoverMs = readFloatInput(dom.ismCrossover, defaults.crossoverTime * 1000, [5, 500]);
+
+    return {
+        enabled,
+        maxOrder,
+        crossoverTime: crossoverMs / 1000
+    };
+}
+
+function normalizeImageSourceConfig(configOverrides) {
+    const base = CONFIG.IMAGE_SOURCE;
+    const cfg = {
+        ...base,
+        ...(configOverrides || {})
+    };
+
+    cfg.maxOrder = THREE.MathUtils.clamp(Math.floor(cfg.maxOrder ?? base.maxOrder), 0, 4);
+    cfg.crossoverTime = Math.max(0, cfg.crossoverTime ?? base.crossoverTime);
+    cfg.enabled = !!cfg.enabled;
+
+    return cfg;
+}
+
+function updateImageSourceOutputs() {
+    const cfg = getImageSourceConfig();
+    if (dom.ismOrderOutput) dom.ismOrderOutput.textContent = `${cfg.maxOrder}`;
+    if (dom.ismCrossoverOutput) dom.ismCrossoverOutput.textContent = `${Math.round(cfg.crossoverTime * 1000)} ms`;
+}
+
+function getDiffractionConfig() {
+    const defaults = CONFIG.DIFFRACTION;
+    return {
+        enabled: dom.diffractionEnabled ? dom.diffractionEnabled.checked : defaults.enabled,
+        maxOrder: readIntInput(dom.diffractionOrder, defaults.maxOrder, [0, 1]),
+        minAngle: readFloatInput(dom.diffractionAngle, defaults.minAngle, [5, 90])
+    };
+}
+
+function normalizeDiffractionConfig(configOverrides) {
+    const base = CONFIG.DIFFRACTION;
+    const cfg = {
+        ...base,
+        ...(configOverrides || {})
+    };
+
+    cfg.maxOrder = THREE.MathUtils.clamp(Math.floor(cfg.maxOrder ?? base.maxOrder), 0, 1);
+    cfg.minAngle = THREE.MathUtils.clamp(cfg.minAngle ?? base.minAngle, 5, 90);
+    cfg.enabled = !!cfg.enabled;
+
+    return cfg;
+}
+
+function updateDiffractionOutputs() {
+    const cfg = getDiffractionConfig();
+    if (dom.diffractionOrderOutput) dom.diffractionOrderOutput.textContent = `${cfg.maxOrder}`;
+    if (dom.diffractionAngleOutput) dom.diffractionAngleOutput.textContent = `${cfg.minAngle}°`;
+}
+
+function getAtmosphereConfig() {
+    const defaults = CONFIG.ATMOSPHERE;
+    return {
+        temperature: readFloatInput(dom.airTemperature, defaults.temperature, [-20, 50]),
+        humidity: readFloatInput(dom.airHumidity, defaults.humidity, [0, 100]),
+        pressure: readFloatInput(dom.airPressure, defaults.pressure, [50, 110])
+    };
+}
+
+// Speed of sound and per-band air attenuation (Np/m) for the current atmosphere
+function getAirProperties(freqBands) {
+    const atmosphere = getAtmosphereConfig();
+    return {
+        speedOfSound: speedOfSoundInAir(atmosphere.temperature),
+        airAttenuation: airAttenuationCoefficients(freqBands, atmosphere)
+    };
+}
+
+function updateAtmosphereOutputs() {
+    const { temperature } = getAtmosphereConfig();
+    if (dom.speedOfSoundOutput) dom.speedOfSoundOutput.textContent = speedOfSoundInAir(temperature).toFixed(1);
 }
 
 function formatPitchLabel(value) {
@@ -1574,7 +3244,7 @@ async function applyImpulseResponseStretch(taskId, reason = null) {
     if (taskId !== irStretchTaskId) return;
 
     impulseResponseBuffer = processed;
-    if (convolver) convolver.buffer = impulseResponseBuffer;
+    if (convolver) convolver.buffer = getMonitoringBuffer(impulseResponseBuffer);
     if (dom.downloadBtn) dom.downloadBtn.disabled = false;
 
     if (!wavesurfer) wavesurfer = initWaveSurfer();
@@ -1686,16 +3356,37 @@ function resetControlsToDefaults() {
         if (display) display.textContent = defaults.noiseAmplitude;
     }
 
-    const absorptionDefaults = defaults.absorption || {};
-    const absorptionIds = [200, 800, 3200, 10000];
-    absorptionIds.forEach(freq => {
-        const slider = document.getElementById(`absorption${freq}`);
-        const display = document.getElementById(`absorption${freq}-val`);
-        const value = absorptionDefaults[freq] ?? slider?.value;
-        if (!slider || value === undefined) return;
-        slider.value = value;
+    const directivityDefaults = defaults.directivity || CONFIG.DEFAULTS.directivity;
+    if (dom.sourcePattern) dom.sourcePattern.value = directivityDefaults.pattern;
+    if (dom.sourceAzimuth) dom.sourceAzimuth.value = directivityDefaults.azimuth;
+    if (dom.sourceElevation) dom.sourceElevation.value = directivityDefaults.elevation;
+    updateDirectivityOutputs();
+
+    const atmosphereDefaults = {
+        airTemperature: CONFIG.ATMOSPHERE.temperature,
+        airHumidity: CONFIG.ATMOSPHERE.humidity,
+        airPressure: CONFIG.ATMOSPHERE.pressure
+    };
+    Object.entries(atmosphereDefaults).forEach(([key, value]) => {
+        if (!dom[key]) return;
+        dom[key].value = value;
+        const display = document.getElementById(`${dom[key].id}-val`);
         if (display) display.textContent = value;
     });
+    updateAtmosphereOutputs();
+
+    setBandSet(defaults.bandSet);
+    selectWallMaterial(defaults.wallMaterial);
+
+    Object.entries(defaults.surfaces).forEach(([type, surface]) => {
+        if (dom[`${type}MaterialEnabled`]) dom[`${type}MaterialEnabled`].checked = surface.enabled;
+        if (dom[`${type}Material`]) dom[`${type}Material`].value = surface.material;
+        if (dom[`${type}Extent`]) {
+            dom[`${type}Extent`].value = surface.extent;
+            const display = document.getElementById(`${type}Extent-val`);
+            if (display) display.textContent = surface.extent;
+        }
+    });
 
     const numRaysInput = document.getElementById('numRays');
     if (numRaysInput) {
@@ -1710,16 +3401,48 @@ function resetControlsToDefaults() {
 
     const rrDefaults = defaults.rayRadiosity || {};
     if (dom.rrEnabled) dom.rrEnabled.checked = rrDefaults.enabled ?? CONFIG.RAY_RADIOSITY.enabled;
-    if (dom.rrScattering) dom.rrScattering.value = rrDefaults.scatteringCoeff ?? CONFIG.RAY_RADIOSITY.scatteringCoeff;
     if (dom.rrHistogramResolution) dom.rrHistogramResolution.value = rrDefaults.histogramResolution ?? CONFIG.RAY_RADIOSITY.histogramResolution;
     if (dom.rrMaxTime) dom.rrMaxTime.value = rrDefaults.maxTime ?? CONFIG.RAY_RADIOSITY.maxTime;
     if (dom.rrHybridBounce) dom.rrHybridBounce.value = rrDefaults.hybridBounceThreshold ?? CONFIG.RAY_RADIOSITY.hybridBounceThreshold;
     if (dom.rrPoissonDensity) dom.rrPoissonDensity.value = rrDefaults.poissonDensity ?? CONFIG.RAY_RADIOSITY.poissonDensity;
     if (dom.rrDiffuseGain) dom.rrDiffuseGain.value = rrDefaults.diffuseGain ?? CONFIG.RAY_RADIOSITY.diffuseGain;
     if (dom.rrMinEnergy) dom.rrMinEnergy.value = rrDefaults.minEnergyThreshold ?? CONFIG.RAY_RADIOSITY.minEnergyThreshold;
+    if (dom.rrPulseDirections) dom.rrPulseDirections.value = rrDefaults.pulseDirections ?? CONFIG.RAY_RADIOSITY.pulseDirections;
+    if (dom.rrTailMode) dom.rrTailMode.value = rrDefaults.tailMode ?? CONFIG.RAY_RADIOSITY.tailMode;
+    if (dom.rrCrossfade) dom.rrCrossfade.value = rrDefaults.crossfadeTime ?? CONFIG.RAY_RADIOSITY.crossfadeTime;
+    if (dom.terminationDb) dom.terminationDb.value = defaults.terminationDb ?? CONFIG.TERMINATION.thresholdDb;
+    if (dom.raySampler) dom.raySampler.value = defaults.raySampler;
+    updateTerminationOutputs();
+    if (dom.irFormat) dom.irFormat.value = defaults.irFormat;
+    if (dom.irNormalization) dom.irNormalization.value = defaults.irNormalization;
+    if (dom.arrivalPlacement) dom.arrivalPlacement.value = defaults.arrivalPlacement;
+    if (dom.irOversampling) dom.irOversampling.value = defaults.irOversampling;
+    if (dom.sincTaps) {
+        dom.sincTaps.value = defaults.sincTaps;
+        const display = document.getElementById('sincTaps-val');
+        if (display) display.textContent = defaults.sincTaps;
+    }
+    if (dom.micArray) dom.micArray.value = defaults.micArray;
+    if (dom.micPickup) dom.micPickup.value = defaults.micPickup;
+    state.hrirSet = null;
+    updateHRIRSetName();
+    if (dom.listenerAzimuth) dom.listenerAzimuth.value = defaults.listenerAzimuth;
+    updateListenerOutputs();
 
     updateRayRadiosityOutputs();
 
+    const ismDefaults = defaults.imageSource || {};
+    if (dom.ismEnabled) dom.ismEnabled.checked = ismDefaults.enabled ?? CONFIG.IMAGE_SOURCE.enabled;
+    if (dom.ismOrder) dom.ismOrder.value = ismDefaults.maxOrder ?? CONFIG.IMAGE_SOURCE.maxOrder;
+    if (dom.ismCrossover) dom.ismCrossover.value = (ismDefaults.crossoverTime ?? CONFIG.IMAGE_SOURCE.crossoverTime) * 1000;
+    updateImageSourceOutputs();
+
+    const diffractionDefaults = defaults.diffraction || {};
+    if (dom.diffractionEnabled) dom.diffractionEnabled.checked = diffractionDefaults.enabled ?? CONFIG.DIFFRACTION.enabled;
+    if (dom.diffractionOrder) dom.diffractionOrder.value = diffractionDefaults.maxOrder ?? CONFIG.DIFFRACTION.maxOrder;
+    if (dom.diffractionAngle) dom.diffractionAngle.value = diffractionDefaults.minAngle ?? CONFIG.DIFFRACTION.minAngle;
+    updateDiffractionOutputs();
+
     if (dom.samplePitchSlider) {
         dom.samplePitchSlider.value = '0';
         document.querySelectorAll('#samplePitch-val').forEach(el => el.textContent = formatPitchLabel(0));
@@ -1738,6 +3461,21 @@ function resetControlsToDefaults() {
     applySeed(defaults.randomSeed);
     rebuildRoom();
 
+    // After the room, whose bounds set the position slider ranges
+    const positionDefaults = {
+        sourceX: defaults.sourcePosition.x,
+        sourceY: defaults.sourcePosition.y,
+        sourceZ: defaults.sourcePosition.z
+    };
+    Object.entries(positionDefaults).forEach(([key, value]) => {
+        if (!dom[key]) return;
+        dom[key].value = value;
+        const display = document.getElementById(`${dom[key].id}-val`);
+        if (display) display.textContent = value;
+    });
+    setReceivers(defaults.receivers);
+    if (workerPool) updateWorkerGeometry();
+
     setStatus('Controls reset to defaults.');
 
     if (state.realtimeSimEnabled && !state.isSimulating) {
@@ -1749,8 +3487,13 @@ function resetControlsToDefaults() {
 }
 
 function runSimulationWorker() {
-    if (state.isSimulating) return;
-    if (!workerInstance) {
+    if (!checkTransducerPlacement()) return;
+    if (state.isSimulating) {
+        // A full run supersedes a preview still in flight, never the reverse
+        if (workerJob?.mode !== 'preview') return;
+        cancelSimulation();
+    }
+    if (!workerPool) {
         console.warn('Worker unavailable; running simulation on main thread.');
         runSimulationMainThread();
         return;
@@ -1762,7 +3505,7 @@ function runSimulationWorker() {
         return;
     }
 
-    state.isSimulating = true;
+    setSimulating(true);
     if (dom.startButton) dom.startButton.disabled = true;
     setStatus('Starting simulation...');
 
@@ -1774,31 +3517,30 @@ function runSimulationWorker() {
         numRays: getIntegerInputValue('numRays', 1000),
         maxBounces: state.maxBounces,
         useFreqDependent: true,
-        absorptionCoeffs: {
-            200: getNumericInputValue('absorption200', 0.1),
-            800: getNumericInputValue('absorption800', 0.15),
-            3200: getNumericInputValue('absorption3200', 0.2),
-            10000: getNumericInputValue('absorption10000', 0.25)
-        },
+        absorptionCoeffs: getAbsorptionCoefficients(),
+        materials: getMaterialTable(),
+        directivity: getDirectivityConfig(),
+        sampling: getSamplingConfig(dom.randomSeed?.value ?? ''),
         seed: dom.randomSeed?.value ?? '',
-        speedOfSound: CONFIG.SPEED_OF_SOUND,
+        ...getAirProperties(getFrequencyBands()),
         batchSize: 5000,
-        rrConfig: normalizeRayRadiosityConfig(getRayRadiosityConfig())
+        receiverIds: getTracedReceivers().map(receiver => receiver.id),
+        rrConfig: normalizeRayRadiosityConfig(getRayRadiosityConfig()),
+        termination: getTerminationConfig(),
+        imageSource: normalizeImageSourceConfig(getImageSourceConfig()),
+        diffraction: normalizeDiffractionConfig(getDiffractionConfig())
     };
 
     console.log('Starting worker simulation with params:', params);
     console.time('Worker Simulation');
 
-    workerInstance.postMessage({
-        type: 'simulate',
-        data: params
-    });
+    startWorkerSimulation(params, 'full');
 }
 
 function runSimulationMainThread() {
-    if (state.isSimulating) return;
+    if (state.isSimulating || !checkTransducerPlacement()) return;
 
-    state.isSimulating = true;
+    setSimulating(true);
     if (dom.startButton) dom.startButton.disabled = true;
     setStatus('Simulating...');
 
@@ -1815,40 +3557,26 @@ function runSimulationMainThread() {
     const raysToVisualize = parseInt(dom.raysToVisualizeSlider?.value ?? '0', 10) || 0;
     const lineColorMode = dom.lineColorModeSelect?.value ?? 'random';
 
-    if (!raycaster || !state.roomMesh || !emitterMesh || !rayLinesGroup) {
+    if (!raycaster || !state.roomMesh || receiverMeshes.length === 0 || !rayLinesGroup) {
         console.warn('Simulation prerequisites missing.');
         setStatus('Simulation unavailable: scene not ready.');
         if (dom.startButton) dom.startButton.disabled = false;
         Math.random = restoreRandom;
-        state.isSimulating = false;
+        setSimulating(false);
         return;
     }
 
-    if (emitterMesh.geometry && !emitterMesh.geometry.boundingSphere) {
-        emitterMesh.geometry.computeBoundingSphere();
-    }
-
-    const freqBands = CONFIG.FREQ_BANDS.slice().sort((a, b) => a - b);
-    const absorptionCoeffs = {
-        200: getNumericInputValue('absorption200', 0.1),
-        800: getNumericInputValue('absorption800', 0.15),
-        3200: getNumericInputValue('absorption3200', 0.2),
-        10000: getNumericInputValue('absorption10000', 0.25)
-    };
+    const freqBands = getFrequencyBands();
+    const absorptionCoeffs = getAbsorptionCoefficients();
 
     const rrConfig = normalizeRayRadiosityConfig(getRayRadiosityConfig());
-    const useRayRadiosity = rrConfig.enabled;
-    const histogramBins = useRayRadiosity ? Math.ceil(rrConfig.maxTime / rrConfig.histogramResolution) : 0;
-    const speedOfSound = CONFIG.SPEED_OF_SOUND;
-
-    const arrivalsByBand = Object.fromEntries(freqBands.map(freq => [freq, []]));
-    const rrHistograms = useRayRadiosity
-        ? Object.fromEntries(freqBands.map(freq => [freq, new Float32Array(histogramBins)]))
-        : null;
-    let rrContributionCount = 0;
-
-    const emitterRadius = emitterMesh.geometry?.boundingSphere?.radius ?? CONFIG.EMITTER_RADIUS;
-    const emitterWorldPos = emitterMesh.getWorldPosition(new THREE.Vector3());
+    const imageSource = normalizeImageSourceConfig(getImageSourceConfig());
+    const diffraction = normalizeDiffractionConfig(getDiffractionConfig());
+    const { speedOfSound, airAttenuation } = getAirProperties(freqBands);
+    const materials = getMaterialTable(freqBands);
+    const directivity = getDirectivityConfig();
+    const ctx = createTraceContext({ freqBands, speedOfSound, airAttenuation, rrConfig, numRays, absorptionCoeffs, materials, imageSource, diffraction, directivity, sampling: getSamplingConfig(seed) });
+    const sourcePosition = getSourcePosition();
     const visualizeBand = freqBands[Math.floor(freqBands.length / 2)] ?? freqBands[0];
 
     const roomIntersections = [];
@@ -1856,7 +3584,7 @@ function runSimulationMainThread() {
 
     let currentRay = 0;
 
-    const maxSegments = Math.max(1, raysToVisualize * MAX_BOUNCES * 2);
+    const maxSegments = Math.max(1, raysToVisualize * Math.min(MAX_BOUNCES, CONFIG.MAX_VISUALIZED_BOUNCES) * 2);
     const linePositions = new Float32Array(maxSegments * 3);
     const lineColors = new Float32Array(maxSegments * 3);
     let positionIndex = 0;
@@ -1879,7 +3607,7 @@ function runSimulationMainThread() {
 
             let segmentColor = baseColor;
             if (lineColorMode === 'energy') {
-                const energy = THREE.MathUtils.clamp(Math.abs(start.amplitude), 0, 1);
+                const energy = THREE.MathUtils.clamp(start.energy, 0, 1);
                 segmentColor = new THREE.Color().setHSL(0.68, 0.95, 0.2 + energy * 0.5);
             }
 
@@ -1898,110 +3626,70 @@ function runSimulationMainThread() {
         const batchStart = performance.now();
 
         for (let i = currentRay; i < endRay; i++) {
-            vectors.origin.set(0, 0, 0);
-            vectors.direction.randomDirection();
+            vectors.origin.set(sourcePosition.x, sourcePosition.y, sourcePosition.z);
+            ctx.sampleDirection(i, vectors.direction);
 
             let totalDistance = 0;
-            const amplitudes = Object.fromEntries(freqBands.map(freq => [freq, 1.0]));
+            const energies = Object.fromEntries(freqBands.map(freq => [freq, 1.0]));
+            if (ctx.directivity) {
+                // Directivity gains are pressure gains
+                ctx.directivity(vectors.direction, energies);
+                freqBands.forEach(freq => { energies[freq] *= energies[freq]; });
+            }
+            const thresholdEnergy = rayEnergy(energies, freqBands, {}, 0) * ctx.terminationRatio;
 
             const shouldVisualize = i < raysToVisualize;
-            const pathInfo = shouldVisualize ? [{ point: vectors.origin.clone(), amplitude: amplitudes[visualizeBand] }] : null;
+            const pathInfo = shouldVisualize ? [{ point: vectors.origin.clone(), energy: energies[visualizeBand] }] : null;
 
             for (let bounce = 0; bounce < MAX_BOUNCES; bounce++) {
                 raycaster.set(vectors.origin, vectors.direction);
 
                 roomIntersections.length = 0;
-                receiverIntersections.length = 0;
-
                 raycaster.intersectObject(state.roomMesh, false, roomIntersections);
-                if (emitterMesh) {
-                    raycaster.intersectObject(emitterMesh, false, receiverIntersections);
-                }
 
-                const receiverHit = receiverIntersections.length > 0;
                 const roomHit = roomIntersections.length > 0;
-
-                if (
-                    receiverHit &&
-                    (!roomHit || receiverIntersections[0].distance < roomIntersections[0].distance)
-                ) {
-                    const receiverIntersection = receiverIntersections[0];
-                    if (receiverIntersection && receiverIntersection.distance > 0.001) {
-                        totalDistance += receiverIntersection.distance;
-                        const arrivalTime = totalDistance / speedOfSound;
-
-                        freqBands.forEach(freq => {
-                            arrivalsByBand[freq].push({
-                                time: arrivalTime,
-                                amplitude: amplitudes[freq]
-                            });
-                        });
-
-                        if (pathInfo) {
-                            pathInfo.push({
-                                point: receiverIntersection.point.clone(),
-                                amplitude: amplitudes[visualizeBand]
-                            });
-                        }
-
-                        break;
-                    }
-                }
+                recordReceiverCrossings(ctx, roomHit ? roomIntersections[0].distance : Infinity, totalDistance, energies, receiverIntersections);
 
                 if (!roomHit) break;
 
                 const wallHit = roomIntersections[0];
                 totalDistance += wallHit.distance;
+                const surface = surfaceAt(ctx, wallHit.faceIndex);
 
                 freqBands.forEach(freq => {
-                    const absorption = absorptionCoeffs[freq] ?? 0;
-                    amplitudes[freq] *= (1.0 - absorption);
-                    if (amplitudes[freq] < 0) amplitudes[freq] = 0;
+                    const absorption = surface.absorption[freq] ?? 0;
+                    energies[freq] *= (1.0 - absorption);
+                    if (energies[freq] < 0) energies[freq] = 0;
                 });
 
                 if (pathInfo) {
                     pathInfo.push({
                         point: wallHit.point.clone(),
-                        amplitude: amplitudes[visualizeBand]
+                        energy: energies[visualizeBand]
                     });
                 }
 
-                if (useRayRadiosity && histogramBins > 0 && bounce >= rrConfig.hybridBounceThreshold && emitterMesh) {
-                    vectors.toReceiver.copy(wallHit.point).sub(emitterWorldPos);
-                    const distanceToReceiver = Math.max(vectors.toReceiver.length(), Math.max(emitterRadius * 0.5, 0.01));
-                    const timeToReceiver = (totalDistance + distanceToReceiver) / speedOfSound;
-
-                    if (timeToReceiver <= rrConfig.maxTime) {
-                        const invDistanceTerm = 1.0 / Math.max(4 * Math.PI * distanceToReceiver * distanceToReceiver, 1e-6);
-                        const binIndex = Math.floor(timeToReceiver / rrConfig.histogramResolution);
-                        if (binIndex < histogramBins) {
-                            freqBands.forEach(freq => {
-                                const amp = amplitudes[freq];
-                                if (amp <= 0) return;
-                                const diffuseEnergy = amp * amp * rrConfig.diffuseGain * invDistanceTerm * Math.max(rrConfig.scatteringCoeff, 1e-3);
-                                if (diffuseEnergy > rrConfig.minEnergyThreshold) {
-                                    rrHistograms[freq][binIndex] += diffuseEnergy;
-                                    rrContributionCount++;
-                                }
-                            });
-                        }
-                    }
-                }
-
                 const faceNormal = wallHit.face?.normal ?? vectors.temp.set(0, 1, 0);
                 const worldNormal = vectors.temp.copy(faceNormal)
                     .transformDirection(state.roomMesh.matrixWorld)
                     .normalize();
-                const specularDir = vectors.specular.copy(vectors.direction).reflect(worldNormal);
-                const scatteredDir = rrConfig.scatteringCoeff > 0 ? randomHemisphereDirection(worldNormal) : specularDir;
 
-                vectors.direction.copy(specularDir)
-                    .multiplyScalar(1 - rrConfig.scatteringCoeff)
-                    .addScaledVector(scatteredDir, rrConfig.scatteringCoeff)
-                    .normalize();
+                if (ctx.useRayRadiosity && ctx.histogramBins > 0 && bounce >= rrConfig.hybridBounceThreshold) {
+                    depositDiffuseEnergy(ctx, wallHit.point, worldNormal, vectors.direction, totalDistance, energies, surface.scattering);
+                }
+                if (sampleReflectionBranch(surface.scattering, freqBands, ctx.branchWeights)) {
+                    vectors.direction.copy(randomHemisphereDirection(worldNormal));
+                } else {
+                    vectors.direction.reflect(worldNormal).normalize();
+                }
+                freqBands.forEach(freq => {
+                    energies[freq] *= ctx.branchWeights[freq];
+                });
 
                 vectors.temp.copy(vectors.direction).multiplyScalar(0.001);
                 vectors.origin.copy(wallHit.point).add(vectors.temp);
+
+                if (!continueRay(ctx, energies, totalDistance, thresholdEnergy)) break;
             }
 
             if (pathInfo && pathInfo.length > 1) {
@@ -2013,15 +3701,17 @@ function runSimulationMainThread() {
         const batchTime = performance.now() - batchStart;
         const processed = endRay - startRay;
         const raysPerSecond = processed > 0 && batchTime > 0 ? Math.round(processed / (batchTime / 1000)) : 0;
-        const earlyArrivals = Object.values(arrivalsByBand).reduce((sum, arr) => sum + arr.length, 0);
+        const earlyArrivals = countReceiverArrivals(ctx.arrivalsByBand);
 
         if (currentRay < numRays) {
             const percent = Math.round((currentRay / numRays) * 100);
-            setStatus(`Simulating (Main Thread)... ${percent}% (${raysPerSecond} rays/sec, ${earlyArrivals + rrContributionCount} events)`);
+            setStatus(`Simulating (Main Thread)... ${percent}% (${raysPerSecond} rays/sec, ${earlyArrivals + ctx.rrContributionCount} events)`);
             if (window.requestIdleCallback) {
-                requestIdleCallback(processBatch);
+                const handle = requestIdleCallback(processBatch);
+                cancelBatch = () => cancelIdleCallback(handle);
             } else {
-                setTimeout(processBatch, 0);
+                const handle = setTimeout(processBatch, 0);
+                cancelBatch = () => clearTimeout(handle);
             }
         } else {
             finalizeSimulation();
@@ -2040,38 +3730,35 @@ function runSimulationMainThread() {
             rayLinesGroup.add(lineSegments);
         }
 
-        let lateArrivalCount = 0;
-        if (useRayRadiosity && histogramBins > 0 && rrHistograms) {
-            freqBands.forEach(freq => {
-                const pulses = synthesizeRadiosityPulses(
-                    rrHistograms[freq],
-                    rrConfig.histogramResolution,
-                    rrConfig.poissonDensity,
-                    rrConfig.minEnergyThreshold
-                );
-                if (pulses.length > 0) {
-                    arrivalsByBand[freq].push(...pulses);
-                    lateArrivalCount += pulses.length;
-                }
-                arrivalsByBand[freq].sort((a, b) => a.time - b.time);
-            });
-            console.log(`Ray-radiosity histogram contributions: ${rrContributionCount}, synthesized pulses: ${lateArrivalCount}`);
-        } else {
-            freqBands.forEach(freq => {
-                arrivalsByBand[freq].sort((a, b) => a.time - b.time);
-            });
+        const lateArrivalCount = finalizeReceiverArrivals(ctx);
+        if (ctx.useRayRadiosity) {
+            console.log(`Ray-radiosity histogram contributions: ${ctx.rrContributionCount}, synthesized pulses: ${lateArrivalCount}`);
+        }
+        if (imageSource.enabled) {
+            console.log(`Image sources: ${ctx.imageSourcePathCount} early paths (order ${imageSource.maxOrder})`);
+        }
+        if (diffraction.enabled) {
+            console.log(`Diffraction: ${ctx.diffractionPathCount} edge paths`);
         }
 
         console.timeEnd('Main Thread Simulation');
-        plotMultiBandImpulseResponse(arrivalsByBand, freqBands);
+        handleSimulationResult(ctx.arrivalsByBand, freqBands, ctx.lateTail, seed);
         if (dom.startButton) dom.startButton.disabled = false;
-        const totalArrivals = Object.values(arrivalsByBand).reduce((s, a) => s + a.length, 0);
-        const tailSummary = useRayRadiosity && lateArrivalCount ? `, ${lateArrivalCount} RR pulses` : '';
+        const totalArrivals = countReceiverArrivals(ctx.arrivalsByBand);
+        const tailSummary = ctx.useRayRadiosity && lateArrivalCount ? `, ${lateArrivalCount} RR pulses` : '';
         setStatus(`Simulation complete: ${totalArrivals} arrivals${tailSummary}`);
         Math.random = restoreRandom;
-        state.isSimulating = false;
+        mainThreadRun = null;
+        setSimulating(false);
     }
 
+    let cancelBatch = () => {};
+    mainThreadRun = {
+        cancel() {
+            cancelBatch();
+            Math.random = restoreRandom;
+        }
+    };
     processBatch();
 }
 
@@ -2079,6 +3766,51 @@ function runSimulationMainThread() {
 // UI + events
 // -----------------------------------------------------------------------------
 function setupEventListeners() {
+    populateBandSetSelect();
+    populateMaterialSelects();
+    selectWallMaterial(state.wallMaterial);
+    if (dom.wallMaterialSelect) {
+        dom.wallMaterialSelect.addEventListener('change', () => {
+            selectWallMaterial(dom.wallMaterialSelect.value);
+            if (state.realtimeSimEnabled && !state.isSimulating) {
+                runRealtimeSimulation();
+            }
+        });
+    }
+    if (dom.importMaterialsButton) {
+        dom.importMaterialsButton.addEventListener('click', () => {
+            const fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.accept = 'application/json,.json';
+            fileInput.addEventListener('change', (event) => {
+                const file = event.target?.files?.[0];
+                if (file) importMaterialSet(file);
+            }, { once: true });
+            fileInput.click();
+        });
+    }
+    if (dom.exportMaterialsButton) {
+        dom.exportMaterialsButton.addEventListener('click', exportMaterialSet);
+    }
+    Object.keys(SURFACE_REGIONS).forEach(type => {
+        [dom[`${type}MaterialEnabled`], dom[`${type}Material`], dom[`${type}Extent`]].filter(Boolean).forEach(input => {
+            input.addEventListener('change', () => {
+                updateSurfaceMaterials();
+                if (workerPool) updateWorkerGeometry();
+                if (state.realtimeSimEnabled && !state.isSimulating) {
+                    runRealtimeSimulation();
+                }
+            });
+        });
+    });
+    if (dom.bandSetSelect) {
+        dom.bandSetSelect.addEventListener('change', () => {
+            setBandSet(dom.bandSetSelect.value);
+            if (state.realtimeSimEnabled && !state.isSimulating) {
+                runRealtimeSimulation();
+            }
+        });
+    }
 
     if (dom.useWebWorker) {
         dom.useWebWorker.addEventListener('change', () => {
@@ -2094,15 +3826,18 @@ function setupEventListeners() {
         });
     }
 
+    populateTailModeSelect();
     const rrInputs = [
         dom.rrEnabled,
-        dom.rrScattering,
         dom.rrHistogramResolution,
         dom.rrMaxTime,
         dom.rrHybridBounce,
         dom.rrPoissonDensity,
         dom.rrDiffuseGain,
-        dom.rrMinEnergy
+        dom.rrMinEnergy,
+        dom.rrPulseDirections,
+        dom.rrTailMode,
+        dom.rrCrossfade
     ].filter(Boolean);
     rrInputs.forEach(input => {
         const eventName = input.type === 'checkbox' ? 'change' : 'input';
@@ -2110,15 +3845,78 @@ function setupEventListeners() {
     });
     updateRayRadiosityOutputs();
 
+    populateDirectivitySelect();
+    [dom.sourcePattern, dom.sourceAzimuth, dom.sourceElevation].filter(Boolean).forEach(input => {
+        input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', updateDirectivityOutputs);
+        input.addEventListener('change', () => {
+            if (state.realtimeSimEnabled && !state.isSimulating) {
+                runRealtimeSimulation();
+            }
+        });
+    });
+    if (dom.loadBalloonButton) {
+        dom.loadBalloonButton.addEventListener('click', () => {
+            const fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.accept = 'application/json,.json';
+            fileInput.addEventListener('change', (event) => {
+                const file = event.target?.files?.[0];
+                if (file) loadDirectivityBalloon(file);
+            }, { once: true });
+            fileInput.click();
+        });
+    }
+    updateDirectivityOutputs();
+
+    [dom.ismEnabled, dom.ismOrder, dom.ismCrossover].filter(Boolean).forEach(input => {
+        const eventName = input.type === 'checkbox' ? 'change' : 'input';
+        input.addEventListener(eventName, updateImageSourceOutputs);
+    });
+    updateImageSourceOutputs();
+
+    [dom.diffractionEnabled, dom.diffractionOrder, dom.diffractionAngle].filter(Boolean).forEach(input => {
+        const eventName = input.type === 'checkbox' ? 'change' : 'input';
+        input.addEventListener(eventName, updateDiffractionOutputs);
+    });
+    updateDiffractionOutputs();
+
+    populateRaySamplerSelect();
+    if (dom.raySampler) {
+        dom.raySampler.addEventListener('change', () => {
+            if (state.realtimeSimEnabled && !state.isSimulating) {
+                runRealtimeSimulation();
+            }
+        });
+    }
+    if (dom.compareSamplersBtn) {
+        dom.compareSamplersBtn.addEventListener('click', runSamplerComparison);
+    }
+
+    if (dom.terminationDb) {
+        dom.terminationDb.addEventListener('input', updateTerminationOutputs);
+        dom.terminationDb.addEventListener('change', () => {
+            if (state.realtimeSimEnabled && !state.isSimulating) {
+                runRealtimeSimulation();
+            }
+        });
+    }
+    updateTerminationOutputs();
+
+    [dom.airTemperature, dom.airHumidity, dom.airPressure].filter(Boolean).forEach(input => {
+        input.addEventListener('input', updateAtmosphereOutputs);
+    });
+    updateAtmosphereOutputs();
+
     // Room controls that should trigger an immediate preview when realtime is enabled
     const realtimeInputs = [
         dom.baseRadius,
         dom.noiseFrequency,
         dom.noiseAmplitude,
-        document.getElementById('absorption200'),
-        document.getElementById('absorption800'),
-        document.getElementById('absorption3200'),
-        document.getElementById('absorption10000')
+        dom.absorptionControls,
+        dom.scatteringControls,
+        dom.airTemperature,
+        dom.airHumidity,
+        dom.airPressure
     ].filter(Boolean);
     realtimeInputs.forEach(input => {
         input.addEventListener('change', () => {
@@ -2173,6 +3971,13 @@ function setupEventListeners() {
         });
     }
 
+    if (dom.crossoverPlotBtn && dom.crossoverPlot) {
+        dom.crossoverPlotBtn.addEventListener('click', () => {
+            dom.crossoverPlot.hidden = !dom.crossoverPlot.hidden;
+            drawCrossoverResponse();
+        });
+    }
+
     if (dom.downloadBtn) {
         dom.downloadBtn.addEventListener('click', () => {
             if (!impulseResponseBuffer) return;
@@ -2182,7 +3987,9 @@ function setupEventListeners() {
             a.style.display = 'none';
             a.href = url;
             const seedValue = dom.randomSeed?.value ?? 'impulse-response';
-            a.download = `IR_${seedValue}.wav`;
+            const receiverSuffix = state.irReceiverId ? `_${state.irReceiverId}` : '';
+            const formatSuffix = { stereo: '_stereo', foa: '_AmbiX', binaural: '_binaural' }[getIRFormat()] ?? '';
+            a.download = `IR_${seedValue}${receiverSuffix}${formatSuffix}.wav`;
             document.body.appendChild(a);
             a.click();
             window.URL.revokeObjectURL(url);
@@ -2198,6 +4005,10 @@ function setupEventListeners() {
         slider.addEventListener('input', () => { display.textContent = slider.value; });
     });
 
+    if (dom.stopButton) {
+        dom.stopButton.addEventListener('click', cancelSimulation);
+    }
+
     if (dom.startButton) {
         dom.startButton.addEventListener('click', () => {
             if (!audioContext) {
@@ -2206,7 +4017,7 @@ function setupEventListeners() {
             }
             const useWebWorker = dom.useWebWorker?.checked ?? true;
 
-            if (useWebWorker && workerInstance) {
+            if (useWebWorker && workerPool) {
                 runSimulationWorker();
             } else {
                 runSimulationMainThread();
@@ -2316,7 +4127,7 @@ function setupEventListeners() {
 
     // Helper to send pending geometry update to worker
     function sendPendingGeometryUpdate() {
-        if (geometryNeedsWorkerUpdate && workerInstance) {
+        if (geometryNeedsWorkerUpdate && workerPool) {
             updateWorkerGeometry();
             geometryNeedsWorkerUpdate = false;
         }
@@ -2359,11 +4170,109 @@ function setupEventListeners() {
         dom.noiseAmplitude.addEventListener('touchend', sendPendingGeometryUpdate);
     }
 
+    const positionInputs = [
+        dom.sourceX,
+        dom.sourceY,
+        dom.sourceZ,
+        dom.receiverX,
+        dom.receiverY,
+        dom.receiverZ
+    ].filter(Boolean);
+    positionInputs.forEach(input => {
+        input.addEventListener('input', () => {
+            updateSelectedReceiverFromInputs();
+            updateTransducerMeshes();
+            checkTransducerPlacement();
+            markGeometryForWorkerUpdate();
+        });
+        input.addEventListener('change', sendPendingGeometryUpdate);
+    });
+
+    if (dom.receiverSelect) {
+        dom.receiverSelect.addEventListener('change', () => {
+            state.selectedReceiverId = dom.receiverSelect.value;
+            syncReceiverInputs();
+            updateTransducerMeshes();
+        });
+    }
+
+    if (dom.addReceiverButton) {
+        dom.addReceiverButton.addEventListener('click', () => {
+            addReceiver();
+            markGeometryForWorkerUpdate();
+            sendPendingGeometryUpdate();
+        });
+    }
+
+    if (dom.removeReceiverButton) {
+        dom.removeReceiverButton.addEventListener('click', () => {
+            if (!removeSelectedReceiver()) return;
+            markGeometryForWorkerUpdate();
+            sendPendingGeometryUpdate();
+        });
+    }
+
+    // Capsule receivers move with the array settings, so stereo changes re-trace
+    const onArrayChange = () => {
+        updateTransducerMeshes();
+        updateWorkerGeometry();
+        if (getIRFormat() === 'stereo' && state.realtimeSimEnabled && !state.isSimulating) {
+            runRealtimeSimulation();
+        } else {
+            loadReceiverImpulseResponse(state.irReceiverId);
+        }
+    };
+    populateMicArraySelect();
+    if (dom.irFormat) {
+        dom.irFormat.addEventListener('change', onArrayChange);
+    }
+    populateIRNormalizationSelect();
+    populatePlacementSelects();
+    [dom.irNormalization, dom.arrivalPlacement, dom.sincTaps, dom.irOversampling].filter(Boolean).forEach(input => {
+        input.addEventListener('change', () => loadReceiverImpulseResponse(state.irReceiverId));
+    });
+    [dom.micArray, dom.micPickup].filter(Boolean).forEach(input => {
+        input.addEventListener('change', () => {
+            if (getIRFormat() === 'stereo') onArrayChange();
+        });
+    });
+    if (dom.listenerAzimuth) {
+        dom.listenerAzimuth.addEventListener('input', updateListenerOutputs);
+        dom.listenerAzimuth.addEventListener('change', () => {
+            if (getIRFormat() === 'stereo') {
+                onArrayChange();
+            } else if (getIRFormat() !== 'mono') {
+                loadReceiverImpulseResponse(state.irReceiverId);
+            }
+        });
+    }
+    updateListenerOutputs();
+    if (dom.loadHrirButton) {
+        dom.loadHrirButton.addEventListener('click', () => {
+            const fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.multiple = true;
+            fileInput.accept = 'application/json,.json,audio/wav,.wav';
+            fileInput.addEventListener('change', (event) => {
+                const files = Array.from(event.target?.files ?? []);
+                if (files.length > 0) loadHRIRFiles(files);
+            }, { once: true });
+            fileInput.click();
+        });
+    }
+    updateHRIRSetName();
+
+    if (dom.irReceiverSelect) {
+        dom.irReceiverSelect.addEventListener('change', () => {
+            loadReceiverImpulseResponse(dom.irReceiverSelect.value);
+        });
+    }
+
     if (dom.randomSeed) {
         dom.randomSeed.addEventListener('change', () => {
             applySeed(dom.randomSeed.value);
             rebuildRoom();
-            if (workerInstance) {
+            if (workerPool) {
                 updateWorkerGeometry();
             }
             if (state.realtimeSimEnabled) {
@@ -2378,7 +4287,7 @@ function setupEventListeners() {
             applySeed(dom.randomSeed.value);
             rebuildRoom();
             // Immediate update for seed changes
-            if (workerInstance) {
+            if (workerPool) {
                 updateWorkerGeometry();
             }
             if (state.realtimeSimEnabled) {
@@ -2507,7 +4416,7 @@ async function startApp() {
     }
 
     // Run initial realtime simulation after geometry is ready
-    if (state.workerGeometryReady || !workerInstance) {
+    if (state.workerGeometryReady || !workerPool) {
         runInitialSimulation();
     } else {
         // Wait for worker geometry to be ready
@@ -2530,30 +4439,29 @@ async function startApp() {
 }
 
 function runInitialSimulation() {
+    if (!checkTransducerPlacement()) return;
     setStatus('Generating initial impulse response...');
     
     const useWebWorker = dom.useWebWorker?.checked ?? true;
     const initialParams = {
         numRays: 2000, // Quick but decent quality
-        absorptionCoeffs: {
-            200: getNumericInputValue('absorption200', 0.1),
-            800: getNumericInputValue('absorption800', 0.15),
-            3200: getNumericInputValue('absorption3200', 0.2),
-            10000: getNumericInputValue('absorption10000', 0.25)
-        },
-        freqBands: CONFIG.FREQ_BANDS,
+        absorptionCoeffs: getAbsorptionCoefficients(),
+        materials: getMaterialTable(),
+        directivity: getDirectivityConfig(),
+        sampling: getSamplingConfig(dom.randomSeed?.value ?? ''),
+        freqBands: getFrequencyBands(),
         seed: dom.randomSeed?.value ?? '',
-        speedOfSound: CONFIG.SPEED_OF_SOUND,
+        ...getAirProperties(getFrequencyBands()),
         maxBounces: state.maxBounces,
-        batchSize: 5000
+        termination: getTerminationConfig(),
+        batchSize: 5000,
+        imageSource: normalizeImageSourceConfig(getImageSourceConfig()),
+        diffraction: normalizeDiffractionConfig(getDiffractionConfig())
     };
 
-    if (useWebWorker && workerInstance && state.workerGeometryReady) {
-        state.isSimulating = true;
-        workerInstance.postMessage({
-            type: 'simulate',
-            data: initialParams
-        });
+    if (useWebWorker && workerPool && state.workerGeometryReady) {
+        setSimulating(true);
+        startWorkerSimulation(initialParams, 'preview');
     } else {
         runQuickMainThreadSimulation(initialParams);
     }
@@ -2581,7 +4489,7 @@ function animate() {
 // Cleanup
 // -----------------------------------------------------------------------------
 function cleanup() {
-    if (workerInstance) workerInstance.terminate();
+    if (workerPool) workerPool.terminate();
 }
 
 // -----------------------------------------------------------------------------
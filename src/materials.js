@@ -0,0 +1,289 @@
+// materials.js
+
+import * as THREE from 'three';
+import { interpolateBandValues } from './frequency-bands.js';
+
+// Slot 0 is always the default wall material; regions take the slots after it
+export const MAX_MATERIAL_SLOTS = 8;
+
+// Octave-band anchors, interpolated onto the active band set when resolved.
+// Absorption from the usual published tables (Vorländer, Cox & D'Antonio);
+// scattering follows the typical rise with frequency for each surface type.
+export const MATERIAL_LIBRARY = {
+  blobDefault: {
+    name: 'Blob default',
+    color: '#3ae600',
+    absorption: { 200: 0.15, 800: 0.2, 3200: 0.25, 10000: 0.3 },
+    scattering: { 200: 0.45, 10000: 0.45 }
+  },
+  concrete: {
+    name: 'Rough concrete',
+    color: '#8c8c8c',
+    absorption: { 125: 0.01, 250: 0.02, 500: 0.04, 1000: 0.06, 2000: 0.08, 4000: 0.10 },
+    scattering: { 125: 0.10, 250: 0.12, 500: 0.15, 1000: 0.20, 2000: 0.25, 4000: 0.30 }
+  },
+  paintedBlock: {
+    name: 'Painted concrete block',
+    color: '#b4b0a8',
+    absorption: { 125: 0.10, 250: 0.05, 500: 0.06, 1000: 0.07, 2000: 0.09, 4000: 0.08 },
+    scattering: { 125: 0.05, 250: 0.08, 500: 0.10, 1000: 0.12, 2000: 0.15, 4000: 0.20 }
+  },
+  brick: {
+    name: 'Unglazed brick',
+    color: '#9c4a2f',
+    absorption: { 125: 0.03, 250: 0.03, 500: 0.03, 1000: 0.04, 2000: 0.05, 4000: 0.07 },
+    scattering: { 125: 0.05, 250: 0.10, 500: 0.15, 1000: 0.20, 2000: 0.25, 4000: 0.30 }
+  },
+  plaster: {
+    name: 'Plaster on brick',
+    color: '#d8d2c4',
+    absorption: { 125: 0.013, 250: 0.015, 500: 0.02, 1000: 0.03, 2000: 0.04, 4000: 0.05 },
+    scattering: { 125: 0.05, 250: 0.05, 500: 0.05, 1000: 0.08, 2000: 0.10, 4000: 0.12 }
+  },
+  marble: {
+    name: 'Marble / glazed tile',
+    color: '#f0eee8',
+    absorption: { 125: 0.01, 250: 0.01, 500: 0.01, 1000: 0.01, 2000: 0.02, 4000: 0.02 },
+    scattering: { 125: 0.05, 250: 0.05, 500: 0.05, 1000: 0.05, 2000: 0.08, 4000: 0.10 }
+  },
+  glass: {
+    name: 'Heavy plate glass',
+    color: '#9fd4e8',
+    absorption: { 125: 0.18, 250: 0.06, 500: 0.04, 1000: 0.03, 2000: 0.02, 4000: 0.02 },
+    scattering: { 125: 0.05, 250: 0.05, 500: 0.05, 1000: 0.05, 2000: 0.05, 4000: 0.05 }
+  },
+  windowGlass: {
+    name: 'Ordinary window glass',
+    color: '#b8e2f0',
+    absorption: { 125: 0.35, 250: 0.25, 500: 0.18, 1000: 0.12, 2000: 0.07, 4000: 0.04 },
+    scattering: { 125: 0.05, 250: 0.05, 500: 0.05, 1000: 0.05, 2000: 0.05, 4000: 0.05 }
+  },
+  woodFloor: {
+    name: 'Wooden floor',
+    color: '#a0703c',
+    absorption: { 125: 0.15, 250: 0.11, 500: 0.10, 1000: 0.07, 2000: 0.06, 4000: 0.07 },
+    scattering: { 125: 0.10, 250: 0.10, 500: 0.10, 1000: 0.10, 2000: 0.15, 4000: 0.20 }
+  },
+  carpet: {
+    name: 'Heavy carpet',
+    color: '#7a3b5e',
+    absorption: { 125: 0.08, 250: 0.24, 500: 0.57, 1000: 0.69, 2000: 0.71, 4000: 0.73 },
+    scattering: { 125: 0.10, 250: 0.10, 500: 0.15, 1000: 0.20, 2000: 0.25, 4000: 0.30 }
+  },
+  heavyCurtains: {
+    name: 'Heavy curtains (velour, draped)',
+    color: '#6b1f2a',
+    absorption: { 125: 0.14, 250: 0.35, 500: 0.55, 1000: 0.72, 2000: 0.70, 4000: 0.65 },
+    scattering: { 125: 0.10, 250: 0.20, 500: 0.30, 1000: 0.40, 2000: 0.50, 4000: 0.50 }
+  },
+  audienceSeating: {
+    name: 'Audience on upholstered seats',
+    color: '#3f5a8a',
+    absorption: { 125: 0.39, 250: 0.57, 500: 0.80, 1000: 0.94, 2000: 0.92, 4000: 0.87 },
+    scattering: { 125: 0.30, 250: 0.40, 500: 0.50, 1000: 0.60, 2000: 0.70, 4000: 0.70 }
+  },
+  acousticTile: {
+    name: 'Acoustic ceiling tile',
+    color: '#e8e4d8',
+    absorption: { 125: 0.70, 250: 0.66, 500: 0.72, 1000: 0.92, 2000: 0.88, 4000: 0.75 },
+    scattering: { 125: 0.10, 250: 0.15, 500: 0.20, 1000: 0.25, 2000: 0.30, 4000: 0.35 }
+  }
+};
+
+export const SURFACE_REGIONS = {
+  floor: { label: 'Floor cap' },
+  ceiling: { label: 'Ceiling cap' },
+  peaks: { label: 'Noise peaks' }
+};
+
+/**
+ * Resolves a material definition onto a band set.
+ * @param {object} material - Entry with `absorption` and `scattering` anchor values.
+ * @param {number[]} freqBands - Active band centre frequencies.
+ * @returns {{ name: string, color: string, absorption: Object<number, number>, scattering: Object<number, number> }}
+ */
+export function resolveMaterial(material, freqBands) {
+  return {
+    name: material.name,
+    color: material.color,
+    absorption: interpolateBandValues(material.absorption, freqBands),
+    scattering: interpolateBandValues(material.scattering, freqBands)
+  };
+}
+
+/**
+ * Picks the specular or diffuse branch of a reflection for a ray that carries
+ * several bands at once. The branch is drawn with the mean scattering
+ * probability and every band is reweighted so that, on average, its energy
+ * still splits (1 - s) specular and s diffuse with its own coefficient.
+ * @param {Object<string, number>} scattering - Scattering coefficient per band.
+ * @param {Array<string|number>} bands - Bands carried by the ray.
+ * @param {Object<string, number>} weights - Receives the energy factor per band.
+ * @param {number} [random=Math.random()] - Uniform sample in [0, 1).
+ * @returns {boolean} True when the ray continues in a diffuse direction.
+ */
+export function sampleReflectionBranch(scattering, bands, weights, random = Math.random()) {
+  let meanScattering = 0;
+  for (const band of bands) {
+    meanScattering += THREE.MathUtils.clamp(scattering[band] ?? 0, 0, 1);
+  }
+  meanScattering /= Math.max(bands.length, 1);
+
+  const diffuse = random < meanScattering;
+  const probability = diffuse ? meanScattering : 1 - meanScattering;
+  for (const band of bands) {
+    const s = THREE.MathUtils.clamp(scattering[band] ?? 0, 0, 1);
+    const share = diffuse ? s : 1 - s;
+    weights[band] = probability > 0 ? share / probability : 0;
+  }
+  return diffuse;
+}
+
+/**
+ * Assigns a material slot to every triangle of the room. Regions are applied
+ * in order, so later regions win where they overlap; unmatched triangles keep
+ * slot 0.
+ * - `floor` / `ceiling`: triangles whose centroid lies in the lowest / highest
+ *   `extent` fraction of the room's height.
+ * - `peaks`: triangles whose centroid lies in the outermost `extent` fraction
+ *   of the radial range, i.e. the bulges raised by the noise field.
+ * @param {THREE.BufferGeometry} geometry - Indexed room geometry (BVH order).
+ * @param {Array<{type: string, extent: number, slot: number}>} regions - Enabled regions.
+ * @returns {Uint8Array} Material slot per triangle, in index order.
+ */
+export function assignSurfaceMaterials(geometry, regions) {
+  const position = geometry.attributes.position;
+  const index = geometry.index;
+  const count = index ? index.count / 3 : position.count / 3;
+  const slots = new Uint8Array(count);
+  if (regions.length === 0) return slots;
+
+  const centroids = new Float32Array(count * 3);
+  const radii = new Float32Array(count);
+  const vertex = new THREE.Vector3();
+  let minY = Infinity, maxY = -Infinity, minR = Infinity, maxR = -Infinity;
+
+  for (let t = 0; t < count; t++) {
+    let cx = 0, cy = 0, cz = 0;
+    for (let k = 0; k < 3; k++) {
+      vertex.fromBufferAttribute(position, index ? index.getX(t * 3 + k) : t * 3 + k);
+      cx += vertex.x / 3;
+      cy += vertex.y / 3;
+      cz += vertex.z / 3;
+    }
+    centroids[t * 3] = cx;
+    centroids[t * 3 + 1] = cy;
+    centroids[t * 3 + 2] = cz;
+    radii[t] = Math.hypot(cx, cy, cz);
+    minY = Math.min(minY, cy);
+    maxY = Math.max(maxY, cy);
+    minR = Math.min(minR, radii[t]);
+    maxR = Math.max(maxR, radii[t]);
+  }
+
+  const height = maxY - minY;
+  const radialRange = maxR - minR;
+  regions.forEach(({ type, extent, slot }) => {
+    for (let t = 0; t < count; t++) {
+      const y = centroids[t * 3 + 1];
+      const inside = type === 'floor' ? y <= minY + extent * height
+        : type === 'ceiling' ? y >= maxY - extent * height
+          : type === 'peaks' ? radii[t] >= maxR - extent * radialRange
+            : false;
+      if (inside) slots[t] = slot;
+    }
+  });
+
+  return slots;
+}
+
+/**
+ * Writes per-triangle material slots into a per-vertex `surfaceMaterial`
+ * attribute so the shader can colour faces. Assumes triangles do not share
+ * vertices, which holds for the non-indexed icosahedron the room is built from.
+ * @param {THREE.BufferGeometry} geometry - Room geometry.
+ * @param {Uint8Array} slots - Result of assignSurfaceMaterials().
+ */
+export function writeMaterialAttribute(geometry, slots) {
+  const position = geometry.attributes.position;
+  let attribute = geometry.getAttribute('surfaceMaterial');
+  if (!attribute || attribute.count !== position.count) {
+    attribute = new THREE.BufferAttribute(new Float32Array(position.count), 1);
+    geometry.setAttribute('surfaceMaterial', attribute);
+  }
+  const index = geometry.index;
+  for (let t = 0; t < slots.length; t++) {
+    for (let k = 0; k < 3; k++) {
+      attribute.setX(index ? index.getX(t * 3 + k) : t * 3 + k, slots[t]);
+    }
+  }
+  attribute.needsUpdate = true;
+}
+
+/**
+ * Re-orders a per-triangle array after the index buffer has been rearranged
+ * (three-mesh-bvh sorts triangles in place when it builds its tree).
+ * @param {ArrayLike<number>} previousIndex - Index buffer the values were written against.
+ * @param {ArrayLike<number>} currentIndex - Index buffer after rearranging.
+ * @param {ArrayLike<number>} values - One value per triangle of previousIndex.
+ * @returns {Uint8Array} One value per triangle of currentIndex.
+ */
+export function remapTriangleValues(previousIndex, currentIndex, values) {
+  const byTriangle = new Map();
+  for (let t = 0; t < values.length; t++) {
+    byTriangle.set(`${previousIndex[t * 3]},${previousIndex[t * 3 + 1]},${previousIndex[t * 3 + 2]}`, values[t]);
+  }
+  const remapped = new Uint8Array(currentIndex.length / 3);
+  for (let t = 0; t < remapped.length; t++) {
+    remapped[t] = byTriangle.get(`${currentIndex[t * 3]},${currentIndex[t * 3 + 1]},${currentIndex[t * 3 + 2]}`) ?? 0;
+  }
+  return remapped;
+}
+
+function readBandTable(table, label, materialName) {
+  if (!table || typeof table !== 'object') {
+    throw new Error(`Material "${materialName}" is missing ${label} values.`);
+  }
+  const entries = Object.entries(table).map(([freq, value]) => [Number(freq), Number(value)]);
+  if (entries.length === 0 || entries.some(([freq, value]) => !(freq > 0) || !Number.isFinite(value))) {
+    throw new Error(`Material "${materialName}" has invalid ${label} values.`);
+  }
+  return Object.fromEntries(entries.map(([freq, value]) => [freq, Math.min(1, Math.max(0, value))]));
+}
+
+/**
+ * Parses a material set saved by serializeMaterialSet() (or written by hand).
+ * Accepts either `{ materials: { id: material } }` or a bare array of materials.
+ * Scattering is optional and defaults to 0.1 in every band.
+ * @param {string} text - JSON text.
+ * @returns {Array<{ name: string, color: string, absorption: Object<number, number>, scattering: Object<number, number> }>}
+ * @throws {Error} When the JSON is malformed or a material lacks valid absorption data.
+ */
+export function parseMaterialSet(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : Object.values(data?.materials ?? {});
+  if (list.length === 0) throw new Error('No materials found in file.');
+
+  return list.map((material, i) => {
+    const name = typeof material?.name === 'string' && material.name.trim() ? material.name.trim() : `Material ${i + 1}`;
+    const absorption = readBandTable(material?.absorption, 'absorption', name);
+    const scattering = material?.scattering
+      ? readBandTable(material.scattering, 'scattering', name)
+      : Object.fromEntries(Object.keys(absorption).map(freq => [freq, 0.1]));
+    const color = /^#[0-9a-f]{6}$/i.test(material?.color ?? '') ? material.color : '#cccccc';
+    return { name, color, absorption, scattering };
+  });
+}
+
+/**
+ * Serialises materials to the JSON format read by parseMaterialSet().
+ * @param {Object<string, object>} materials - Materials keyed by id.
+ * @returns {string} Pretty-printed JSON.
+ */
+export function serializeMaterialSet(materials) {
+  const entries = Object.entries(materials).map(([id, { name, color, absorption, scattering }]) => [
+    id,
+    { name, color, absorption, scattering }
+  ]);
+  return JSON.stringify({ version: 1, materials: Object.fromEntries(entries) }, null, 2);
+}
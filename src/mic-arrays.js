@@ -0,0 +1,78 @@
+// mic-arrays.js
+import * as THREE from 'three';
+
+export const MIC_ARRAY_PRESETS = {
+  spacedPair: { label: 'Spaced pair (AB, 60 cm)', spacing: 0.6, angle: 0, pattern: 'omni' },
+  xy: { label: 'XY (coincident, 90°)', spacing: 0, angle: 90, pattern: 'cardioid' },
+  ortf: { label: 'ORTF (17 cm, 110°)', spacing: 0.17, angle: 110, pattern: 'cardioid' }
+};
+
+export const CAPSULE_SIDES = ['L', 'R'];
+
+/**
+ * Receiver ID of one capsule of the array placed at a receiver.
+ * @param {string} receiverId - Parent receiver ID.
+ * @param {string} side - 'L' or 'R'.
+ * @returns {string}
+ */
+export function capsuleId(receiverId, side) {
+  return `${receiverId}.${side}`;
+}
+
+/**
+ * Parent receiver of a capsule ID; plain receiver IDs are returned unchanged.
+ * @param {string} id - Receiver or capsule ID.
+ * @returns {string}
+ */
+export function capsuleParentId(id) {
+  const match = /^(.*)\.[LR]$/.exec(id);
+  return match ? match[1] : id;
+}
+
+/**
+ * Lays out the two capsules of a preset around a receiver. Capsules sit on the
+ * listener's left/right axis and are splayed symmetrically about the facing
+ * direction by the preset's included angle.
+ * @param {object} preset - Entry of MIC_ARRAY_PRESETS.
+ * @param {{x: number, y: number, z: number}} position - Array centre.
+ * @param {{ forward: THREE.Vector3, left: THREE.Vector3 }} frame - Listener frame
+ *   from createListenerFrame().
+ * @returns {Array<{ side: string, position: {x: number, y: number, z: number}, aim: THREE.Vector3 }>}
+ */
+export function layoutArrayCapsules(preset, position, frame) {
+  const halfAngle = THREE.MathUtils.degToRad(preset.angle / 2);
+  return CAPSULE_SIDES.map(side => {
+    const sign = side === 'L' ? 1 : -1;
+    const offset = frame.left.clone().multiplyScalar(sign * preset.spacing / 2);
+    return {
+      side,
+      position: { x: position.x + offset.x, y: position.y + offset.y, z: position.z + offset.z },
+      aim: frame.forward.clone().multiplyScalar(Math.cos(halfAngle))
+        .addScaledVector(frame.left, sign * Math.sin(halfAngle))
+        .normalize()
+    };
+  });
+}
+
+/**
+ * Pickup gain of a capsule for sound arriving from `direction`.
+ * @param {string} pattern - 'omni' or 'cardioid'.
+ * @param {{x: number, y: number, z: number}} direction - Unit vector towards
+ *   where the sound comes from.
+ * @param {THREE.Vector3} aim - Capsule axis.
+ * @returns {number}
+ */
+export function capsuleGain(pattern, direction, aim) {
+  if (pattern !== 'cardioid') return 1;
+  return 0.5 * (1 + direction.x * aim.x + direction.y * aim.y + direction.z * aim.z);
+}
+
+/**
+ * RMS pickup gain of a capsule in a diffuse field, where sound arrives equally
+ * from every direction.
+ * @param {string} pattern - 'omni' or 'cardioid'.
+ * @returns {number} 1 for omni, 1/√3 for cardioid.
+ */
+export function capsuleDiffuseGain(pattern) {
+  return pattern === 'cardioid' ? Math.sqrt(1 / 3) : 1;
+}
@@ -0,0 +1,137 @@
+// ray-sampling.js
+
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+export const DIRECTION_SAMPLERS = {
+  random: { label: 'Random' },
+  fibonacci: { label: 'Fibonacci sphere' },
+  jittered: { label: 'Jittered strata' },
+  halton: { label: 'Halton sequence' }
+};
+
+/**
+ * Uniformly distributed random rotation (Shoemake, 1992).
+ * @param {function(): number} random - Uniform samples in [0, 1).
+ * @returns {number[]} Unit quaternion [x, y, z, w].
+ */
+export function randomRotation(random) {
+  const u1 = random();
+  const u2 = random() * 2 * Math.PI;
+  const u3 = random() * 2 * Math.PI;
+  const a = Math.sqrt(1 - u1);
+  const b = Math.sqrt(u1);
+  return [a * Math.sin(u2), a * Math.cos(u2), b * Math.sin(u3), b * Math.cos(u3)];
+}
+
+function radicalInverse(index, base) {
+  let result = 0;
+  let fraction = 1 / base;
+  while (index > 0) {
+    result += (index % base) * fraction;
+    index = Math.floor(index / base);
+    fraction /= base;
+  }
+  return result;
+}
+
+// Equal-area map from the unit square to the sphere
+function squareToSphere(u, v, target) {
+  const z = 1 - 2 * u;
+  const r = Math.sqrt(Math.max(0, 1 - z * z));
+  const phi = 2 * Math.PI * v;
+  return target.set(r * Math.cos(phi), r * Math.sin(phi), z);
+}
+
+function rotate([qx, qy, qz, qw], target) {
+  const { x, y, z } = target;
+  // t = 2 q × v, v' = v + w t + q × t
+  const tx = 2 * (qy * z - qz * y);
+  const ty = 2 * (qz * x - qx * z);
+  const tz = 2 * (qx * y - qy * x);
+  return target.set(
+    x + qw * tx + qy * tz - qz * ty,
+    y + qw * ty + qz * tx - qx * tz,
+    z + qw * tz + qx * ty - qy * tx
+  );
+}
+
+/**
+ * Initial-direction sampler for one run. Stratified samplers place ray
+ * `index` by its position among the run's `numRays`, so ray ranges traced on
+ * different workers still fill one pattern; the run's rotation turns the whole
+ * pattern so it changes with the seed rather than being fixed to the axes.
+ * @param {object} config - Sampling settings.
+ * @param {string} [config.method='random'] - Key of DIRECTION_SAMPLERS.
+ * @param {number[]} [config.rotation] - Quaternion from randomRotation().
+ * @param {number} numRays - Rays in the whole run.
+ * @returns {function(number, THREE.Vector3): THREE.Vector3} Sets `target` to the
+ *   direction of ray `index` and returns it. Random and jittered sampling draw
+ *   from Math.random.
+ */
+export function createDirectionSampler({ method = 'random', rotation = [0, 0, 0, 1] } = {}, numRays) {
+  const count = Math.max(1, numRays);
+
+  switch (method) {
+    case 'fibonacci':
+      return (index, target) => {
+        const z = 1 - (2 * index + 1) / count;
+        const r = Math.sqrt(Math.max(0, 1 - z * z));
+        const phi = index * GOLDEN_ANGLE;
+        return rotate(rotation, target.set(r * Math.cos(phi), r * Math.sin(phi), z));
+      };
+    case 'jittered': {
+      // Equal-area cells, a few more than rays; ray i takes cell floor(i * cells / n)
+      const rows = Math.max(1, Math.round(Math.sqrt(count / 2)));
+      const columns = Math.ceil(count / rows);
+      const cells = rows * columns;
+      return (index, target) => {
+        const cell = Math.floor(index * cells / count);
+        const u = (Math.floor(cell / columns) + Math.random()) / rows;
+        const v = (cell % columns + Math.random()) / columns;
+        return rotate(rotation, squareToSphere(u, v, target));
+      };
+    }
+    case 'halton':
+      return (index, target) => rotate(rotation, squareToSphere(radicalInverse(index + 1, 2), radicalInverse(index + 1, 3), target));
+    default:
+      // Same draws as THREE.Vector3.randomDirection()
+      return (index, target) => {
+        const u = (Math.random() - 0.5) * 2;
+        const t = Math.random() * Math.PI * 2;
+        const f = Math.sqrt(1 - u * u);
+        return target.set(f * Math.cos(t), u, f * Math.sin(t));
+      };
+  }
+}
+
+/**
+ * Early energy of one run at one receiver: the summed squared pressure of
+ * every arrival before `window` seconds, over all bands.
+ * @param {Object<string, Array<{time: number, amplitude: number}>>} arrivalsByBand
+ *   Pressure arrivals per band.
+ * @param {number} window - End of the early part in seconds.
+ * @returns {number}
+ */
+export function earlyEnergy(arrivalsByBand, window) {
+  let energy = 0;
+  Object.values(arrivalsByBand ?? {}).forEach(arrivals => {
+    for (const arrival of arrivals) {
+      if (arrival.time < window) energy += arrival.amplitude * arrival.amplitude;
+    }
+  });
+  return energy;
+}
+
+/**
+ * Convergence of a sampler over repeated runs at one ray count: the mean
+ * early-energy level and the standard deviation of the per-run levels. A
+ * sampler that converges faster shows a smaller spread.
+ * @param {number[]} energies - earlyEnergy() of each run.
+ * @returns {{ levelDb: number, spreadDb: number }}
+ */
+export function energySpread(energies) {
+  const levels = energies.map(energy => 10 * Math.log10(Math.max(energy, 1e-30)));
+  const mean = levels.reduce((sum, level) => sum + level, 0) / Math.max(1, levels.length);
+  const variance = levels.reduce((sum, level) => sum + (level - mean) * (level - mean), 0) / Math.max(1, levels.length - 1);
+  return { levelDb: mean, spreadDb: Math.sqrt(variance) };
+}
@@ -0,0 +1,43 @@
+// ray-termination.js
+
+/**
+ * Energy ratio for a level in dB below the reference.
+ * @param {number} db - Attenuation in dB (positive).
+ * @returns {number} Linear energy ratio.
+ */
+export function energyRatioFromDb(db) {
+  return Math.pow(10, -Math.max(0, db) / 10);
+}
+
+/**
+ * Ray energy used for termination: the strongest band after surface losses
+ * and the air absorption accumulated along the path so far.
+ * @param {Object<string, number>} energies - Current energy per band.
+ * @param {Array<string|number>} bands - Bands carried by the ray.
+ * @param {Object<string, number>} airAttenuation - Amplitude attenuation in Np/m per band.
+ * @param {number} distance - Path length travelled so far in metres.
+ * @returns {number}
+ */
+export function rayEnergy(energies, bands, airAttenuation, distance) {
+  let energy = 0;
+  for (const band of bands) {
+    energy = Math.max(energy, energies[band] * Math.exp(-2 * (airAttenuation[band] ?? 0) * distance));
+  }
+  return energy;
+}
+
+/**
+ * Russian roulette below an energy threshold. A ray under the threshold
+ * survives with probability energy / threshold and is boosted back up to the
+ * threshold, so the expected energy is unchanged.
+ * @param {number} energy - Current ray energy.
+ * @param {number} thresholdEnergy - Energy below which the roulette is played.
+ * @param {number} [random=Math.random()] - Uniform sample in [0, 1).
+ * @returns {number} Energy scale for the ray: 1 above the threshold, 0 when
+ *   the ray is terminated.
+ */
+export function russianRoulette(energy, thresholdEnergy, random = Math.random()) {
+  if (energy >= thresholdEnergy) return 1;
+  const survival = thresholdEnergy > 0 ? energy / thresholdEnergy : 0;
+  return random < survival ? 1 / survival : 0;
+}
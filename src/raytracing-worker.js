@@ -10,6 +10,16 @@ import {
     MeshBVH 
 } from 'three-mesh-bvh/build/index.module.js';
 import seedrandom from 'seedrandom';
+import { buildImageSources, computeImageSourceArrivals, createOcclusionTest, mergeEarlyArrivals } from './image-source.js';
+import { computeDiffractionArrivals } from './diffraction.js';
+import { remapTriangleValues, sampleReflectionBranch } from './materials.js';
+import { createDirectivity } from './directivity.js';
+import { assignPulseDirections } from './ambisonics.js';
+import { energyRatioFromDb, rayEnergy, russianRoulette } from './ray-termination.js';
+import { rangeSeed, traceTransferables } from './worker-pool.js';
+import { createDirectionSampler } from './ray-sampling.js';
+import { diffuseRainGain, energyArrivalsToPressure, receiverEnergyScale } from './energy-model.js';
+import { TAIL_MODES, crossfadeEarlyArrivals, tailEnvelope, tailOnset } from './late-tail.js';
 
 // Add BVH methods to geometry prototypes
 THREE.BufferGeometry.prototype.computeBoundsTree = computeBoundsTree;
@@ -21,7 +31,6 @@ const _rayOrigin = new THREE.Vector3();
 const _rayDirection = new THREE.Vector3();
 const _tempVec = new THREE.Vector3();
 const _intersectionPoint = new THREE.Vector3();
-const _emitterPositionVec = new THREE.Vector3();
 const _specularDir = new THREE.Vector3();
 
 function samplePoisson(lambda) {
@@ -63,7 +72,8 @@ function randomHemisphereDirection(normal) {
     return direction;
 }
 
-function synthesizeRadiosityPulses(histogram, binSize, poissonDensity, minEnergy) {
+// `scale` turns histogram energy into intensity, see receiverEnergyScale()
+function synthesizeRadiosityPulses(histogram, binSize, poissonDensity, minEnergy, scale) {
     const pulses = [];
     for (let i = 0; i < histogram.length; i++) {
         const energy = histogram[i];
@@ -74,7 +84,7 @@ function synthesizeRadiosityPulses(histogram, binSize, poissonDensity, minEnergy
         if (pulseCount <= 0) pulseCount = 1;
 
         const energyPerPulse = energy / pulseCount;
-        const amplitude = Math.sqrt(energyPerPulse);
+        const amplitude = Math.sqrt(energyPerPulse * scale);
         const baseTime = i * binSize;
 
         for (let j = 0; j < pulseCount; j++) {
@@ -91,10 +101,15 @@ function synthesizeRadiosityPulses(histogram, binSize, poissonDensity, minEnergy
 
 let raycaster;
 let roomMesh;
-let emitterMesh;
+let receiverMeshes = [];
 let roomGeometry = null;
-let emitterRadius = 0.5;
-let emitterPosition = { x: 0, y: 0, z: 0 };
+let receiverRadius = 0.5;
+let sourcePosition = { x: 0, y: 0, z: 0 };
+let imageSourceCache = null;
+let triangleMaterials = null;
+let materials = [];
+// Main-thread geometry the room mesh was built from; same ID means same topology
+let roomGeometryId = null;
 
 // Initialize the worker with full Three.js and BVH support
 function initWorker() {
@@ -118,24 +133,37 @@ function initWorker() {
 
 function createRoomMesh(geometryData) {
     try {
-        // Create geometry from transferred data
+        // The transferred or shared arrays are used as they are
         const geometry = new THREE.BufferGeometry();
-        
-        const positions = new Float32Array(geometryData.positions);
-        const normals = new Float32Array(geometryData.normals);
-        
+        const { positions, normals } = geometryData;
         geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
         geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
         
+        // The BVH sorts the index in place. A shared index must stay as sent, so
+        // the BVH gets a private copy; a transferred one is sorted directly and
+        // its sent order is copied only when material slots need remapping.
+        let sentIndices = null;
         if (geometryData.indices) {
-            const indices = new Uint32Array(geometryData.indices);
+            let indices = geometryData.indices;
+            if (isShared(indices)) {
+                sentIndices = indices;
+                indices = indices.slice();
+            } else if (geometryData.triangleMaterials) {
+                sentIndices = indices.slice();
+            }
             geometry.setIndex(new THREE.BufferAttribute(indices, 1));
         }
         
         // Build BVH for ultra-fast raycasting
         geometry.computeBoundsTree();
+
+        // The BVH re-sorts triangles, so bring the material slots into the new order
+        triangleMaterials = geometryData.triangleMaterials && sentIndices
+            ? remapTriangleValues(sentIndices, geometry.index.array, geometryData.triangleMaterials)
+            : null;
         geometry.computeBoundingBox();
         geometry.computeBoundingSphere();
+        roomGeometryId = geometryData.id ?? null;
         
         console.log('Full BVH built successfully:');
         console.log(`- Triangle count: ${geometry.index ? geometry.index.count / 3 : positions.length / 9}`);
@@ -174,8 +202,39 @@ function createRoomMesh(geometryData) {
     }
 }
 
+function isShared(array) {
+    return typeof SharedArrayBuffer !== 'undefined' && array.buffer instanceof SharedArrayBuffer;
+}
 
-function createEmitterMesh(radius, position) {
+function canRefitRoomMesh(geometryData) {
+    return Boolean(roomMesh) && geometryData.id != null && geometryData.id === roomGeometryId &&
+        roomMesh.geometry.attributes.position.array.length === geometryData.positions.length;
+}
+
+// Same mesh with moved vertices: swap in the new positions and refit the BVH
+// bounds instead of rebuilding it. Triangle order is left as the BVH sorted it.
+function refitRoomMesh(geometryData) {
+    const geometry = roomMesh.geometry;
+    geometry.setAttribute('position', new THREE.BufferAttribute(geometryData.positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(geometryData.normals, 3));
+    geometry.boundsTree.refit();
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+
+    triangleMaterials = geometryData.triangleMaterials && geometryData.indices
+        ? remapTriangleValues(geometryData.indices, geometry.index.array, geometryData.triangleMaterials)
+        : null;
+}
+
+function disposeReceiverMeshes() {
+    receiverMeshes.forEach(mesh => {
+        if (mesh.geometry.boundsTree) mesh.geometry.disposeBoundsTree();
+        mesh.geometry.dispose();
+    });
+    receiverMeshes = [];
+}
+
+function createReceiverMesh(id, radius, position) {
     try {
         const geometry = new THREE.SphereGeometry(radius, 16, 16);
         geometry.computeBoundsTree();
@@ -183,44 +242,64 @@ function createEmitterMesh(radius, position) {
         geometry.computeBoundingSphere();
         
         const material = new THREE.MeshBasicMaterial({ visible: true });
-        emitterMesh = new THREE.Mesh(geometry, material);
+        const receiverMesh = new THREE.Mesh(geometry, material);
+        receiverMesh.userData.receiverId = id;
         
         // CRITICAL: Initialize all matrix properties
-        emitterMesh.position.set(position.x, position.y, position.z);
-        emitterMesh.rotation.set(0, 0, 0);
-        emitterMesh.scale.set(1, 1, 1);
-        emitterMesh.matrixAutoUpdate = false;
-        emitterMesh.updateMatrix();
-        emitterMesh.updateMatrixWorld(true);
-        emitterMesh.visible = true;
-        _emitterPositionVec.set(position.x, position.y, position.z);
+        receiverMesh.position.set(position.x, position.y, position.z);
+        receiverMesh.rotation.set(0, 0, 0);
+        receiverMesh.scale.set(1, 1, 1);
+        receiverMesh.matrixAutoUpdate = false;
+        receiverMesh.updateMatrix();
+        receiverMesh.updateMatrixWorld(true);
+        receiverMesh.visible = true;
 
         // Set layers
-        emitterMesh.layers.enableAll();
+        receiverMesh.layers.enableAll();
 
-        console.log(`Worker: Emitter sphere created with ${geometry.attributes.position.count} vertices`);
-        console.log(`Worker: Emitter BVH bounds:`, geometry.boundsTree.getBoundingBox(new THREE.Box3()));
-        console.log(`Worker: Emitter has layers:`, !!emitterMesh.layers);
+        console.log(`Worker: Receiver ${id} sphere created with ${geometry.attributes.position.count} vertices`);
         
-        return emitterMesh;
+        return receiverMesh;
     } catch (error) {
-        console.error('Error creating emitter mesh:', error);
+        console.error('Error creating receiver mesh:', error);
         throw error;
     }
 }
 
-// High-performance simulation function using full Three.js BVH
-function runSimulation(params) {
+// Image sources only depend on the room and the source, so they are reused
+// across runs until setGeometry changes either.
+function getImageSources(maxOrder, maxDistance) {
+    const key = `${maxOrder}:${maxDistance}`;
+    if (!imageSourceCache || imageSourceCache.key !== key) {
+        const images = buildImageSources(roomMesh.geometry, sourcePosition, maxOrder, { maxDistance });
+        if (images.truncated) {
+            console.warn(`Worker: image-source tree truncated at ${images.count} images`);
+        }
+        imageSourceCache = { key, images };
+    }
+    return imageSourceCache.images;
+}
+
+// Sets up one simulation run with full Three.js BVH: configuration, surface
+// tables and the per-receiver buffers tracing fills. The pool traces ray
+// ranges on every worker and finishes the merged buffers on one of them.
+function createSimulation(params) {
     const {
         numRays,
         maxBounces,
         wallAbsorption,
         useFreqDependent = true,
         absorptionCoeffs = {},
-        seed,
+        airAttenuation = {},
         speedOfSound,
-        batchSize = 5000,
-        rrConfig: rrOverrides = {}
+        receiverIds: requestedReceiverIds = null,
+        materials: materialOverrides = null,
+        directivity: directivityConfig = null,
+        sampling = null,
+        rrConfig: rrOverrides = {},
+        termination: terminationOverrides = {},
+        imageSource: imageSourceOverrides = {},
+        diffraction: diffractionOverrides = {}
     } = params;
 
     const rrConfig = {
@@ -232,6 +311,9 @@ function runSimulation(params) {
         poissonDensity: 12,
         minEnergyThreshold: 1e-8,
         diffuseGain: 1.0,
+        pulseDirections: 'surface',
+        tailMode: 'poisson',
+        crossfadeTime: 0,
         ...rrOverrides
     };
 
@@ -240,39 +322,112 @@ function runSimulation(params) {
     rrConfig.hybridBounceThreshold = Math.max(0, Math.floor(rrConfig.hybridBounceThreshold));
     rrConfig.poissonDensity = Math.max(0.1, rrConfig.poissonDensity);
     rrConfig.minEnergyThreshold = Math.max(1e-10, rrConfig.minEnergyThreshold);
+    rrConfig.tailMode = TAIL_MODES[rrConfig.tailMode] ? rrConfig.tailMode : 'poisson';
+    rrConfig.crossfadeTime = Math.max(0, rrConfig.crossfadeTime);
+
+    const imageSourceConfig = {
+        enabled: false,
+        maxOrder: 2,
+        crossoverTime: 0.08,
+        ...imageSourceOverrides
+    };
+    imageSourceConfig.maxOrder = Math.max(0, Math.floor(imageSourceConfig.maxOrder));
+    imageSourceConfig.crossoverTime = Math.max(0, imageSourceConfig.crossoverTime);
+
+    const diffractionConfig = {
+        enabled: false,
+        maxOrder: 1,
+        minAngle: 30,
+        ...diffractionOverrides
+    };
+    diffractionConfig.maxOrder = THREE.MathUtils.clamp(Math.floor(diffractionConfig.maxOrder), 0, 1);
+
+    // Rays end by Russian roulette below the energy threshold or when they
+    // outlive the response; maxBounces is only a safety net
+    const termination = {
+        thresholdDb: 60,
+        maxTime: rrConfig.maxTime,
+        ...terminationOverrides
+    };
+    const terminationRatio = energyRatioFromDb(termination.thresholdDb);
 
     const useRayRadiosity = !!rrConfig.enabled;
-    const scatterWeight = THREE.MathUtils.clamp(rrConfig.scatteringCoeff ?? 0, 0, 1);
     const diffuseGain = rrConfig.diffuseGain ?? 1.0;
+    // Shadow rays keep diffuse energy from reaching receivers through walls
+    const isOccluded = useRayRadiosity ? createOcclusionTest(roomMesh.geometry) : null;
 
-    const restoreRandom = Math.random;
-    if (seed) {
-        seedrandom(seed, { global: true });
-    }
-    
     const freqBands = useFreqDependent
         ? Object.keys(absorptionCoeffs).map(Number).sort((a, b) => a - b)
         : null;
 
-    const arrivalsByBand = useFreqDependent ? {} : null;
-    const arrivals = [];
-
-    if (useFreqDependent) {
-        freqBands.forEach(freq => {
-            arrivalsByBand[freq] = [];
-        });
+    // Slot 0 falls back to the global absorption and scattering settings.
+    // Scattering tables also carry a 'broadband' entry for the single-band trace.
+    const mean = (values) => {
+        const list = Object.values(values ?? {});
+        return list.length > 0 ? list.reduce((sum, v) => sum + v, 0) / list.length : 0;
+    };
+    const scatteringTable = (values) => {
+        const table = Object.fromEntries(Object.entries(values ?? {}).map(([freq, s]) => [freq, THREE.MathUtils.clamp(s, 0, 1)]));
+        table.broadband = mean(table);
+        return table;
+    };
+    const materialTable = (materialOverrides ?? materials).map(material => ({
+        absorption: material.absorption ?? {},
+        broadbandAbsorption: mean(material.absorption),
+        scattering: scatteringTable(material.scattering)
+    }));
+    const defaultSurface = {
+        absorption: absorptionCoeffs,
+        broadbandAbsorption: wallAbsorption ?? 0,
+        scattering: scatteringTable(rrConfig.scatteringCoeffs ?? Object.fromEntries(
+            (freqBands ?? []).map(freq => [freq, rrConfig.scatteringCoeff ?? 0])
+        ))
+    };
+    if (!rrConfig.scatteringCoeffs) {
+        defaultSurface.scattering.broadband = THREE.MathUtils.clamp(rrConfig.scatteringCoeff ?? 0, 0, 1);
     }
+    const rayBands = useFreqDependent ? freqBands : ['broadband'];
+    const branchWeights = {};
+    const directivity = createDirectivity(directivityConfig, rayBands);
+    const sampleDirection = createDirectionSampler(sampling ?? undefined, numRays);
+    const surfaceAt = (faceIndex) => materialTable[triangleMaterials?.[faceIndex] ?? 0] ?? defaultSurface;
+    const absorptionOf = (surface, freq) => freq === 'broadband'
+        ? surface.broadbandAbsorption
+        : surface.absorption[freq] ?? absorptionCoeffs[freq] ?? 0;
+
+    // Trace every receiver unless the request names a subset
+    const activeReceivers = Array.isArray(requestedReceiverIds)
+        ? receiverMeshes.filter(mesh => requestedReceiverIds.includes(mesh.userData.receiverId))
+        : receiverMeshes;
+    const receiverIds = activeReceivers.map(mesh => mesh.userData.receiverId);
+    const createReceiverBuffers = (factory) => Object.fromEntries(receiverIds.map(id => [
+        id,
+        useFreqDependent
+            ? Object.fromEntries(freqBands.map(freq => [freq, factory()]))
+            : factory()
+    ]));
+
+    // Keyed by receiver ID, then by band when frequency dependent
+    const arrivalsByBand = useFreqDependent ? createReceiverBuffers(() => []) : null;
+    const arrivals = useFreqDependent ? null : createReceiverBuffers(() => []);
 
     const histogramBins = useRayRadiosity ? Math.ceil(rrConfig.maxTime / rrConfig.histogramResolution) : 0;
     const rrHistograms = useRayRadiosity
-        ? (useFreqDependent
-            ? Object.fromEntries(freqBands.map(freq => [freq, new Float32Array(histogramBins)]))
-            : new Float32Array(histogramBins))
+        ? createReceiverBuffers(() => new Float32Array(histogramBins))
+        : null;
+    // Broadband energy-weighted arrival directions per bin, for the late pulses
+    const rrDirections = useRayRadiosity
+        ? Object.fromEntries(receiverIds.map(id => [id, new Float32Array(histogramBins * 3)]))
+        : null;
+    const rrDirectionEnergy = useRayRadiosity
+        ? Object.fromEntries(receiverIds.map(id => [id, new Float32Array(histogramBins)]))
         : null;
 
+    const countArrivals = () => receiverIds.reduce((sum, id) => sum + (useFreqDependent
+        ? Object.values(arrivalsByBand[id]).reduce((s, a) => s + a.length, 0)
+        : arrivals[id].length), 0);
+
     let rrContributionCount = 0;
-    let processedRays = 0;
-    const startTime = performance.now();
 
     const origin = new THREE.Vector3();
     const direction = new THREE.Vector3();
@@ -282,222 +437,458 @@ function runSimulation(params) {
     const roomIntersects = [];
     const receiverIntersects = [];
 
-    function processBatch() {
-        const batchStartIndex = processedRays;
-        const endRay = Math.min(processedRays + batchSize, numRays);
-        const batchStart = performance.now();
+    function recordReceiverCrossings(segmentLength, totalDistance, energies) {
+        // Receivers are transparent: every sphere crossed before the wall hit records an arrival
+        for (let r = 0; r < activeReceivers.length; r++) {
+            receiverIntersects.length = 0;
+            ray.intersectObject(activeReceivers[r], false, receiverIntersects);
+            const receiverHit = receiverIntersects[0];
+            if (!receiverHit || receiverHit.distance <= 0.001 || receiverHit.distance >= segmentLength) continue;
+
+            const pathLength = totalDistance + receiverHit.distance;
+            const arrivalTime = pathLength / speedOfSound;
+            const receiverId = receiverIds[r];
+            // Shared by every band of this crossing; points back along the ray
+            const arrivalDirection = { x: -direction.x, y: -direction.y, z: -direction.z };
+
+            if (useFreqDependent) {
+                for (let f = 0; f < freqBands.length; f++) {
+                    const freq = freqBands[f];
+                    const airLoss = Math.exp(-2 * (airAttenuation[freq] ?? 0) * pathLength);
+                    arrivalsByBand[receiverId][freq].push({ time: arrivalTime, amplitude: energies[freq] * airLoss, direction: arrivalDirection });
+                }
+            } else {
+                const airLoss = Math.exp(-2 * (airAttenuation.broadband ?? 0) * pathLength);
+                arrivals[receiverId].push({ time: arrivalTime, amplitude: energies.broadband * airLoss, direction: arrivalDirection });
+            }
+        }
+    }
 
-        for (let i = processedRays; i < endRay; i++) {
-            origin.set(0, 0, 0);
-            direction.set(
-                Math.random() * 2 - 1,
-                Math.random() * 2 - 1,
-                Math.random() * 2 - 1
-            ).normalize();
+    // Diffuse rain: the scattered share of the ray's energy that reaches each
+    // receiver it can see from the hit point. `incoming` is the ray direction
+    // before reflection and picks the air side of the surface.
+    function depositDiffuseEnergy(point, normal, incoming, totalDistance, energies, scattering) {
+        const airSide = normal.dot(incoming) > 0 ? -1 : 1;
+        for (let r = 0; r < activeReceivers.length; r++) {
+            _tempVec.copy(point).sub(activeReceivers[r].position);
+            const distanceToReceiver = Math.max(_tempVec.length(), Math.max(receiverRadius * 0.5, 0.01));
+            const pathLength = totalDistance + distanceToReceiver;
+            const timeToReceiver = pathLength / speedOfSound;
+            if (timeToReceiver > rrConfig.maxTime) continue;
+
+            const binIndex = Math.floor(timeToReceiver / rrConfig.histogramResolution);
+            if (binIndex >= histogramBins) continue;
+
+            const cosTheta = -airSide * normal.dot(_tempVec) / distanceToReceiver;
+            const rainGain = diffuseRainGain(cosTheta, distanceToReceiver, receiverRadius);
+            if (rainGain <= 0 || isOccluded(point, activeReceivers[r].position)) continue;
+            const histograms = rrHistograms[receiverIds[r]];
+            let depositedEnergy = 0;
+
+            if (useFreqDependent) {
+                for (let f = 0; f < freqBands.length; f++) {
+                    const freq = freqBands[f];
+                    const energy = energies[freq] * Math.exp(-2 * (airAttenuation[freq] ?? 0) * pathLength);
+                    if (energy <= 0) continue;
+                    const diffuseEnergy = energy * diffuseGain * rainGain * Math.max(scattering[freq] ?? 0, 1e-3);
+                    if (diffuseEnergy > rrConfig.minEnergyThreshold) {
+                        histograms[freq][binIndex] += diffuseEnergy;
+                        depositedEnergy += diffuseEnergy;
+                        rrContributionCount++;
+                    }
+                }
+            } else {
+                const energy = energies.broadband * Math.exp(-2 * (airAttenuation.broadband ?? 0) * pathLength);
+                if (energy > 0) {
+                    const diffuseEnergy = energy * diffuseGain * rainGain * Math.max(scattering.broadband, 1e-3);
+                    if (diffuseEnergy > rrConfig.minEnergyThreshold) {
+                        histograms[binIndex] += diffuseEnergy;
+                        depositedEnergy += diffuseEnergy;
+                        rrContributionCount++;
+                    }
+                }
+            }
+
+            const pointDistance = _tempVec.length();
+            if (depositedEnergy > 0 && pointDistance > 0) {
+                const weight = depositedEnergy / pointDistance;
+                const directions = rrDirections[receiverIds[r]];
+                directions[binIndex * 3] += _tempVec.x * weight;
+                directions[binIndex * 3 + 1] += _tempVec.y * weight;
+                directions[binIndex * 3 + 2] += _tempVec.z * weight;
+                rrDirectionEnergy[receiverIds[r]][binIndex] += depositedEnergy;
+            }
+        }
+    }
+
+    function traceRays(start, end) {
+        for (let i = start; i < end; i++) {
+            origin.set(sourcePosition.x, sourcePosition.y, sourcePosition.z);
+            sampleDirection(i, direction);
 
             let totalDistance = 0;
 
-            const amplitudes = useFreqDependent
+            const energies = useFreqDependent
                 ? Object.fromEntries(freqBands.map(f => [f, 1.0]))
                 : { broadband: 1.0 };
+            if (directivity) {
+                // Directivity gains are pressure gains
+                directivity(direction, energies);
+                for (let f = 0; f < rayBands.length; f++) energies[rayBands[f]] *= energies[rayBands[f]];
+            }
+            const thresholdEnergy = rayEnergy(energies, rayBands, {}, 0) * terminationRatio;
 
             for (let bounce = 0; bounce < maxBounces; bounce++) {
                 ray.set(origin, direction);
 
                 roomIntersects.length = 0;
-                receiverIntersects.length = 0;
-
-                ray.intersectObject(emitterMesh, false, receiverIntersects);
                 ray.intersectObject(roomMesh, false, roomIntersects);
 
-                const receiverHit = receiverIntersects.length > 0;
-                const roomHit = roomIntersects.length > 0;
-
-                if (
-                    receiverHit &&
-                    (
-                        !roomHit ||
-                        (roomIntersects[0] && receiverIntersects[0] && receiverIntersects[0].distance < roomIntersects[0].distance)
-                    )
-                ) {
-                    if (receiverIntersects[0] && receiverIntersects[0].distance > 0.001) {
-                        totalDistance += receiverIntersects[0].distance;
-                        const arrivalTime = totalDistance / speedOfSound;
-
-                        if (useFreqDependent) {
-                            freqBands.forEach(freq => {
-                                const finalAmp = amplitudes[freq];
-                                arrivalsByBand[freq].push({ time: arrivalTime, amplitude: finalAmp });
-                            });
-                        } else {
-                            const finalAmp = amplitudes.broadband;
-                            arrivals.push({ time: arrivalTime, amplitude: finalAmp });
-                        }
-                        break;
-                    }
-                }
+                const roomHit = roomIntersects.length > 0 && !!roomIntersects[0];
+                recordReceiverCrossings(roomHit ? roomIntersects[0].distance : Infinity, totalDistance, energies);
 
-                if (!roomHit || !roomIntersects[0]) {
+                if (!roomHit) {
                     break;
                 }
 
                 const intersection = roomIntersects[0];
                 totalDistance += intersection.distance;
+                const surface = surfaceAt(intersection.faceIndex);
 
                 if (useFreqDependent) {
                     freqBands.forEach(freq => {
-                        const absorption = absorptionCoeffs[freq] ?? 0;
-                        amplitudes[freq] *= (1.0 - absorption);
+                        energies[freq] *= (1.0 - absorptionOf(surface, freq));
                     });
                 } else {
-                    amplitudes.broadband *= (1.0 - (wallAbsorption ?? 0));
+                    energies.broadband *= (1.0 - surface.broadbandAbsorption);
                 }
 
+                const faceNormal = intersection.face?.normal ?? _tempVec.set(0, 1, 0);
+                const normal = _intersectionPoint.copy(faceNormal).normalize();
+
                 if (useRayRadiosity && bounce >= rrConfig.hybridBounceThreshold && histogramBins > 0) {
-                    _tempVec.copy(intersection.point).sub(_emitterPositionVec);
-                    const distanceToReceiver = Math.max(_tempVec.length(), Math.max(emitterRadius * 0.5, 0.01));
-                    const timeToReceiver = (totalDistance + distanceToReceiver) / speedOfSound;
-
-                    if (timeToReceiver <= rrConfig.maxTime) {
-                        const invDistanceTerm = 1.0 / Math.max(4 * Math.PI * distanceToReceiver * distanceToReceiver, 1e-6);
-                        const binIndex = Math.floor(timeToReceiver / rrConfig.histogramResolution);
-
-                        if (binIndex < histogramBins) {
-                            if (useFreqDependent) {
-                                for (let f = 0; f < freqBands.length; f++) {
-                                    const freq = freqBands[f];
-                                    const amp = amplitudes[freq];
-                                    if (amp <= 0) continue;
-                                    const diffuseEnergy = amp * amp * diffuseGain * invDistanceTerm * Math.max(scatterWeight, 1e-3);
-                                    if (diffuseEnergy > rrConfig.minEnergyThreshold) {
-                                        rrHistograms[freq][binIndex] += diffuseEnergy;
-                                        rrContributionCount++;
-                                    }
-                                }
-                            } else {
-                                const amp = amplitudes.broadband;
-                                if (amp > 0) {
-                                    const diffuseEnergy = amp * amp * diffuseGain * invDistanceTerm * Math.max(scatterWeight, 1e-3);
-                                    if (diffuseEnergy > rrConfig.minEnergyThreshold) {
-                                        rrHistograms[binIndex] += diffuseEnergy;
-                                        rrContributionCount++;
-                                    }
-                                }
-                            }
-                        }
-                    }
+                    depositDiffuseEnergy(intersection.point, normal, direction, totalDistance, energies, surface.scattering);
                 }
 
-                const faceNormal = intersection.face?.normal ?? _tempVec.set(0, 1, 0);
-                const normal = _intersectionPoint.copy(faceNormal).normalize();
-                const specularDir = _specularDir.copy(direction).reflect(normal);
-                const scatteredDir = scatterWeight > 0 ? randomHemisphereDirection(normal) : specularDir;
+                // Each band splits specular/diffuse with its own coefficient; the ray
+                // follows one branch and the bands are reweighted to match
+                const diffuse = sampleReflectionBranch(surface.scattering, rayBands, branchWeights);
+                for (let f = 0; f < rayBands.length; f++) {
+                    energies[rayBands[f]] *= branchWeights[rayBands[f]];
+                }
 
-                direction.copy(specularDir)
-                    .multiplyScalar(1 - scatterWeight)
-                    .addScaledVector(scatteredDir, scatterWeight)
-                    .normalize();
+                if (diffuse) {
+                    direction.copy(randomHemisphereDirection(normal));
+                } else {
+                    direction.reflect(normal).normalize();
+                }
 
                 origin.copy(intersection.point);
                 origin.addScaledVector(direction, 0.001);
+
+                if (totalDistance / speedOfSound > termination.maxTime) break;
+                const survival = russianRoulette(rayEnergy(energies, rayBands, airAttenuation, totalDistance), thresholdEnergy);
+                if (survival === 0) break;
+                if (survival !== 1) {
+                    for (let f = 0; f < rayBands.length; f++) energies[rayBands[f]] *= survival;
+                }
             }
         }
+    }
 
-        const processedThisBatch = endRay - batchStartIndex;
-        processedRays = endRay;
-        const progress = processedRays / numRays;
-        const batchTime = performance.now() - batchStart;
-        const raysPerSecond = processedThisBatch > 0 && batchTime > 0 ? Math.round(processedThisBatch / (batchTime / 1000)) : 0;
-
-        const earlyArrivals = useFreqDependent
-            ? Object.values(arrivalsByBand).reduce((s, a) => s + a.length, 0)
-            : arrivals.length;
+    // Both layouts, viewed as band -> data
+    const bandArrivals = (id) => useFreqDependent ? arrivalsByBand[id] : { broadband: arrivals[id] };
+    const bandHistograms = (id) => useFreqDependent ? rrHistograms[id] : { broadband: rrHistograms[id] };
+
+    // Packs the traced arrivals and histograms into typed arrays (see
+    // mergeTraces()); every crossing records all bands, so band lists line up
+    function exportTrace() {
+        const receivers = Object.fromEntries(receiverIds.map(id => {
+            const lists = bandArrivals(id);
+            const crossings = lists[rayBands[0]];
+            const time = new Float64Array(crossings.length);
+            const directionData = new Float64Array(crossings.length * 3);
+            crossings.forEach((arrival, i) => {
+                time[i] = arrival.time;
+                directionData[i * 3] = arrival.direction.x;
+                directionData[i * 3 + 1] = arrival.direction.y;
+                directionData[i * 3 + 2] = arrival.direction.z;
+            });
+            const amplitude = Object.fromEntries(rayBands.map(band => [
+                band,
+                Float64Array.from(lists[band], arrival => arrival.amplitude)
+            ]));
+            return [id, { time, direction: directionData, amplitude }];
+        }));
+
+        return {
+            receivers,
+            histograms: useRayRadiosity ? Object.fromEntries(receiverIds.map(id => [id, bandHistograms(id)])) : null,
+            directions: rrDirections,
+            directionEnergy: rrDirectionEnergy,
+            rrContributionCount
+        };
+    }
 
-        self.postMessage({
-            type: 'progress',
-            progress: progress,
-            raysPerSecond: raysPerSecond,
-            currentArrivals: earlyArrivals + (useRayRadiosity ? rrContributionCount : 0)
+    // Loads a merged trace back into the arrival lists and histograms
+    function importTrace(trace) {
+        receiverIds.forEach(id => {
+            const packed = trace.receivers[id];
+            if (!packed) return;
+            const lists = bandArrivals(id);
+            for (let i = 0; i < packed.time.length; i++) {
+                const arrivalDirection = {
+                    x: packed.direction[i * 3],
+                    y: packed.direction[i * 3 + 1],
+                    z: packed.direction[i * 3 + 2]
+                };
+                rayBands.forEach(band => {
+                    lists[band].push({ time: packed.time[i], amplitude: packed.amplitude[band][i], direction: arrivalDirection });
+                });
+            }
+            if (useRayRadiosity && trace.histograms?.[id]) {
+                const histograms = bandHistograms(id);
+                rayBands.forEach(band => histograms[band].set(trace.histograms[id][band]));
+                rrDirections[id].set(trace.directions[id]);
+                rrDirectionEnergy[id].set(trace.directionEnergy[id]);
+            }
         });
+        rrContributionCount = trace.rrContributionCount ?? 0;
+    }
 
-        if (processedRays < numRays) {
-            setTimeout(processBatch, 0);
-        } else {
-            Math.random = restoreRandom;
+    // Adds image sources, diffraction and the ray-radiosity tail to the traced
+    // arrivals and returns the result payload
+    function finish() {
+        // Ray energy becomes pressure before any deterministic path is merged in
+        const energyScale = receiverEnergyScale(numRays, receiverRadius);
+        receiverIds.forEach(id => {
+            if (useFreqDependent) {
+                freqBands.forEach(freq => energyArrivalsToPressure(arrivalsByBand[id][freq], energyScale));
+            } else {
+                energyArrivalsToPressure(arrivals[id], energyScale);
+            }
+        });
 
-            let lateArrivalCount = 0;
+        // Image sources and diffraction share one image tree over the early window
+        const earlyDistance = imageSourceConfig.crossoverTime * speedOfSound;
+        const imageTreeOrder = Math.max(
+            imageSourceConfig.enabled ? imageSourceConfig.maxOrder : 0,
+            diffractionConfig.enabled ? diffractionConfig.maxOrder : 0
+        );
+
+        let imageSourcePathCount = 0;
+        let imageSourceTruncated = false;
+        if (imageSourceConfig.enabled && roomMesh) {
+            const images = getImageSources(imageTreeOrder, earlyDistance);
+            imageSourceTruncated = images.truncated;
+            activeReceivers.forEach((mesh, r) => {
+                const id = receiverIds[r];
+                const { pathCount, arrivalsByBand: imageArrivals } = computeImageSourceArrivals(images, roomMesh.geometry, mesh.position, {
+                    freqBands: useFreqDependent ? freqBands : ['broadband'],
+                    absorption: (t, freq) => absorptionOf(surfaceAt(t), freq),
+                    speedOfSound,
+                    airAttenuation,
+                    sourceDirectivity: directivity,
+                    maxOrder: imageSourceConfig.maxOrder
+                });
+                imageSourcePathCount += pathCount;
+                if (useFreqDependent) {
+                    freqBands.forEach(freq => mergeEarlyArrivals(arrivalsByBand[id][freq], imageArrivals[freq], imageSourceConfig.crossoverTime));
+                } else {
+                    mergeEarlyArrivals(arrivals[id], imageArrivals.broadband, imageSourceConfig.crossoverTime);
+                }
+            });
+        }
 
-            if (useRayRadiosity && histogramBins > 0) {
+        // Rays never bend around edges, so diffracted arrivals are added on top
+        let diffractionPathCount = 0;
+        if (diffractionConfig.enabled && roomMesh) {
+            const images = getImageSources(imageTreeOrder, earlyDistance);
+            activeReceivers.forEach((mesh, r) => {
+                const id = receiverIds[r];
+                const { pathCount, arrivalsByBand: diffracted } = computeDiffractionArrivals(images, roomMesh.geometry, mesh.position, {
+                    freqBands: rayBands,
+                    absorption: (t, freq) => absorptionOf(surfaceAt(t), freq),
+                    speedOfSound,
+                    airAttenuation,
+                    sourceDirectivity: directivity,
+                    maxOrder: diffractionConfig.maxOrder,
+                    minAngle: diffractionConfig.minAngle,
+                    maxDistance: earlyDistance
+                });
+                diffractionPathCount += pathCount;
                 if (useFreqDependent) {
-                    for (let f = 0; f < freqBands.length; f++) {
-                        const freq = freqBands[f];
-                        const pulses = synthesizeRadiosityPulses(
-                            rrHistograms[freq],
-                            rrConfig.histogramResolution,
-                            rrConfig.poissonDensity,
-                            rrConfig.minEnergyThreshold
-                        );
-                        if (pulses.length > 0) {
-                            arrivalsByBand[freq].push(...pulses);
-                            lateArrivalCount += pulses.length;
-                        }
-                    }
-                    for (let f = 0; f < freqBands.length; f++) {
-                        arrivalsByBand[freqBands[f]].sort((a, b) => a.time - b.time);
-                    }
+                    freqBands.forEach(freq => arrivalsByBand[id][freq].push(...diffracted[freq]));
                 } else {
+                    arrivals[id].push(...diffracted.broadband);
+                }
+            });
+        }
+
+        let lateArrivalCount = 0;
+
+        // Poisson pulses join the arrivals now; noise tails travel as envelopes
+        // and are drawn when the IR is rendered
+        let lateTail = null;
+        if (useRayRadiosity && histogramBins > 0) {
+            const binSize = rrConfig.histogramResolution;
+            if (rrConfig.tailMode !== 'poisson') {
+                lateTail = {
+                    mode: rrConfig.tailMode,
+                    binSize,
+                    crossfade: rrConfig.crossfadeTime,
+                    pulseDirections: rrConfig.pulseDirections,
+                    receivers: {}
+                };
+            }
+            receiverIds.forEach(id => {
+                const histograms = useFreqDependent ? rrHistograms[id] : { broadband: rrHistograms[id] };
+                if (lateTail) {
+                    const bands = Object.fromEntries(Object.entries(histograms).map(([band, histogram]) => [
+                        band,
+                        tailEnvelope(histogram, rrConfig.minEnergyThreshold, energyScale)
+                    ]));
+                    lateTail.receivers[id] = {
+                        bands,
+                        directions: rrDirections[id],
+                        directionEnergy: rrDirectionEnergy[id]
+                    };
+                    // The early part hands over to the noise tail across the crossfade
+                    Object.entries(bands).forEach(([band, envelope]) => {
+                        const onset = tailOnset(envelope, binSize);
+                        if (useFreqDependent) {
+                            arrivalsByBand[id][band] = crossfadeEarlyArrivals(arrivalsByBand[id][band], onset, rrConfig.crossfadeTime);
+                        } else {
+                            arrivals[id] = crossfadeEarlyArrivals(arrivals[id], onset, rrConfig.crossfadeTime);
+                        }
+                    });
+                    return;
+                }
+                const lists = useFreqDependent ? arrivalsByBand[id] : { broadband: arrivals[id] };
+                Object.entries(histograms).forEach(([band, histogram]) => {
                     const pulses = synthesizeRadiosityPulses(
-                        rrHistograms,
-                        rrConfig.histogramResolution,
+                        histogram,
+                        binSize,
                         rrConfig.poissonDensity,
-                        rrConfig.minEnergyThreshold
+                        rrConfig.minEnergyThreshold,
+                        energyScale
                     );
-                    if (pulses.length > 0) {
-                        arrivals.push(...pulses);
-                        lateArrivalCount += pulses.length;
-                    }
-                    arrivals.sort((a, b) => a.time - b.time);
-                }
-            }
-
-            const elapsedTime = performance.now() - startTime;
-            const avgRaysPerSecond = elapsedTime > 0 ? Math.round(numRays / (elapsedTime / 1000)) : 0;
+                    if (pulses.length === 0) return;
+                    assignPulseDirections(pulses, rrDirections[id], rrDirectionEnergy[id], binSize, rrConfig.pulseDirections);
+                    lists[band].push(...pulses);
+                    lateArrivalCount += pulses.length;
+                });
+            });
+        }
 
+        receiverIds.forEach(id => {
             if (useFreqDependent) {
-                const totalArrivals = Object.values(arrivalsByBand).reduce((s, a) => s + a.length, 0);
-                self.postMessage({
-                    type: 'complete',
-                    arrivalsByBand,
-                    freqBands,
-                    totalArrivals,
-                    avgRaysPerSecond,
-                    rayRadiosity: {
-                        enabled: useRayRadiosity,
-                        lateArrivalCount,
-                        histogramBins,
-                        rrConfig
-                    }
-                });
+                freqBands.forEach(freq => arrivalsByBand[id][freq].sort((a, b) => a.time - b.time));
             } else {
-                const totalArrivals = arrivals.length;
-                self.postMessage({
-                    type: 'complete',
-                    arrivals,
-                    totalArrivals,
-                    avgRaysPerSecond,
-                    rayRadiosity: {
-                        enabled: useRayRadiosity,
-                        lateArrivalCount,
-                        histogramBins,
-                        rrConfig
-                    }
-                });
+                arrivals[id].sort((a, b) => a.time - b.time);
+            }
+        });
+
+        return {
+            ...(useFreqDependent ? { arrivalsByBand, freqBands } : { arrivals }),
+            receiverIds,
+            totalArrivals: countArrivals(),
+            rayRadiosity: {
+                enabled: useRayRadiosity,
+                lateArrivalCount,
+                histogramBins,
+                rrConfig
+            },
+            lateTail,
+            imageSource: {
+                enabled: imageSourceConfig.enabled,
+                pathCount: imageSourcePathCount,
+                truncated: imageSourceTruncated,
+                imageSourceConfig
+            },
+            diffraction: {
+                enabled: diffractionConfig.enabled,
+                pathCount: diffractionPathCount,
+                diffractionConfig
             }
+        };
+    }
+
+    return {
+        traceRays,
+        exportTrace,
+        importTrace,
+        finish,
+        countArrivals: () => countArrivals() + (useRayRadiosity ? rrContributionCount : 0)
+    };
+}
+
+// Range currently being traced, so a 'cancel' can stop its batch loop
+let activeTrace = null;
+
+function cancelTrace() {
+    if (!activeTrace) return;
+    clearTimeout(activeTrace.timer);
+    Math.random = activeTrace.restoreRandom;
+    activeTrace = null;
+}
+
+// Traces one seeded sub-range of the rays in batches, reporting progress
+// after each, and posts the packed trace. Replies echo the request ID and mode.
+function runTrace({ params, range, requestId, mode }) {
+    cancelTrace();
+    const simulation = createSimulation(params);
+    const batchSize = params.batchSize ?? 5000;
+    const end = range.start + range.count;
+    const startTime = performance.now();
+    let next = range.start;
+
+    const restoreRandom = Math.random;
+    const seed = rangeSeed(params.seed, range.start);
+    if (seed) {
+        seedrandom(seed, { global: true });
+    }
+    const trace = { timer: null, restoreRandom };
+    activeTrace = trace;
+
+    function processBatch() {
+        if (activeTrace !== trace) return;
+        const batchStart = performance.now();
+        const batchEnd = Math.min(next + batchSize, end);
+        simulation.traceRays(next, batchEnd);
+        const batchTime = performance.now() - batchStart;
+        const raysPerSecond = batchTime > 0 ? Math.round((batchEnd - next) / (batchTime / 1000)) : 0;
+        next = batchEnd;
+
+        self.postMessage({
+            type: 'progress',
+            requestId,
+            mode,
+            range,
+            tracedRays: next - range.start,
+            raysPerSecond,
+            currentArrivals: simulation.countArrivals()
+        });
+
+        if (next < end) {
+            trace.timer = setTimeout(processBatch, 0);
+            return;
         }
+        Math.random = restoreRandom;
+        activeTrace = null;
+        const packed = simulation.exportTrace();
+        self.postMessage({
+            type: 'traced',
+            requestId,
+            mode,
+            range,
+            trace: packed,
+            elapsed: performance.now() - startTime
+        }, traceTransferables(packed));
     }
 
     processBatch();
-};
+}
 
 // Handle messages from main thread
 self.onmessage = function(e) {
@@ -515,43 +906,85 @@ self.onmessage = function(e) {
             
         case 'setGeometry':
             try {
-                const { roomGeometry: geomData, emitterRadius: radius, emitterPosition: pos } = data;
+                const {
+                    roomGeometry: geomData,
+                    sourcePosition: srcPos = { x: 0, y: 0, z: 0 },
+                    receivers = [],
+                    receiverRadius: radius = 0.5,
+                    materials: materialTable,
+                    requestId
+                } = data;
                 
                 // Create full Three.js mesh with BVH
                 if (geomData && geomData.positions && geomData.indices) {
-                    createRoomMesh(geomData);
+                    if (canRefitRoomMesh(geomData)) {
+                        refitRoomMesh(geomData);
+                    } else {
+                        createRoomMesh(geomData);
+                    }
+                    imageSourceCache = null;
+                }
+                if (srcPos.x !== sourcePosition.x || srcPos.y !== sourcePosition.y || srcPos.z !== sourcePosition.z) {
+                    imageSourceCache = null;
                 }
                 
-                createEmitterMesh(radius, pos);
-                emitterRadius = radius;
-                emitterPosition = pos;
+                if (Array.isArray(materialTable)) materials = materialTable;
+
+                disposeReceiverMeshes();
+                receiverMeshes = receivers.map(({ id, position }) => createReceiverMesh(id, radius, position));
+                receiverRadius = radius;
+                sourcePosition = srcPos;
                 
-                console.log(`Worker: Emitter created at position:`, pos, `with radius:`, radius);
-                console.log(`Worker: Emitter mesh position:`, emitterMesh.position);
+                console.log(`Worker: Source set at position:`, srcPos);
+                console.log(`Worker: ${receiverMeshes.length} receiver(s) created with radius:`, radius);
                 
-                self.postMessage({ type: 'geometrySet' });
+                self.postMessage({ type: 'geometrySet', requestId });
             } catch (error) {
                 console.error('Error setting geometry:', error);
                 self.postMessage({ type: 'error', error: error.message });
             }
             break;
             
-        case 'simulate':
+        case 'trace':
             try {
-                runSimulation(data);
+                runTrace(data);
+            } catch (error) {
+                console.error('Simulation error:', error);
+                self.postMessage({ type: 'error', error: error.message });
+            }
+            break;
+
+        case 'finalize':
+            try {
+                const simulation = createSimulation(data.params);
+                simulation.importTrace(data.trace);
+                // The tail synthesis draws noise too; seed it past the last ray range
+                const restoreRandom = Math.random;
+                const seed = rangeSeed(data.params.seed, data.params.numRays);
+                if (seed) {
+                    seedrandom(seed, { global: true });
+                }
+                try {
+                    self.postMessage({ type: 'complete', requestId: data.requestId, mode: data.mode, ...simulation.finish() });
+                } finally {
+                    Math.random = restoreRandom;
+                }
             } catch (error) {
                 console.error('Simulation error:', error);
                 self.postMessage({ type: 'error', error: error.message });
             }
             break;
             
+        case 'cancel':
+            // No reply: the main thread has already dropped the job
+            cancelTrace();
+            break;
+
         case 'terminate':
             if (roomMesh && roomMesh.geometry.boundsTree) {
                 roomMesh.geometry.disposeBoundsTree();
             }
-            if (emitterMesh && emitterMesh.geometry.boundsTree) {
-                emitterMesh.geometry.disposeBoundsTree();
-            }
+            disposeReceiverMeshes();
             self.close();
             break;
             
@@ -0,0 +1,27 @@
+// room-bounds.js
+import * as THREE from 'three';
+
+// Off every axis, so the parity ray does not run along the mesh's edges
+const PARITY_DIRECTION = new THREE.Vector3(0.31, 0.87, 0.38).normalize();
+
+const _point = new THREE.Vector3();
+const _ray = new THREE.Ray();
+const _closest = {};
+
+/**
+ * Whether a sphere lies inside a closed mesh: a ray from its centre crosses
+ * the surface an odd number of times, and no part of the surface comes closer
+ * than `radius`. The geometry needs a bounds tree (three-mesh-bvh).
+ * @param {THREE.Mesh} mesh - Closed room mesh with an up-to-date world matrix.
+ * @param {{x: number, y: number, z: number}} center - Sphere centre in world space.
+ * @param {number} [radius=0] - Sphere radius in metres.
+ * @returns {boolean}
+ */
+export function isInsideMesh(mesh, center, radius = 0) {
+  const bvh = mesh.geometry.boundsTree;
+  if (!bvh) return true;
+  mesh.worldToLocal(_point.set(center.x, center.y, center.z));
+  _ray.set(_point, PARITY_DIRECTION);
+  if (bvh.raycast(_ray, THREE.DoubleSide).length % 2 === 0) return false;
+  return radius <= 0 || (bvh.closestPointToPoint(_point, _closest)?.distance ?? Infinity) >= radius;
+}
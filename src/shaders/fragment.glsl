@@ -2,6 +2,8 @@ precision mediump float;
 
 varying vec3 vNormal;
 varying float vNoise;
+varying vec3 vMaterialColor;
+varying float vMaterialWeight;
 uniform float uAlpha;
 
 void main() {
@@ -10,5 +12,7 @@ void main() {
     vec3 color1 = vec3(0.23, 0.9, 0.0);
     vec3 color2 = vec3(0.2, 0.2, 0.9);
     vec3 finalColor = mix(color1, color2, mixFactor);
+    // Faces with an assigned material take its colour, shaded by the same noise
+    finalColor = mix(finalColor, vMaterialColor * (0.75 + 0.25 * mixFactor), vMaterialWeight);
     gl_FragColor = vec4(finalColor, uAlpha);
 }
\ No newline at end of file
@@ -1,8 +1,12 @@
 uniform float uTime;
 uniform float uFrequency;
 uniform float uAmplitude;
+uniform vec3 uMaterialColors[MAX_MATERIAL_SLOTS];
+attribute float surfaceMaterial;
 varying vec3 vNormal;
 varying float vNoise;
+varying vec3 vMaterialColor;
+varying float vMaterialWeight;
 // We are including the 3D noise function here
 ${glsl_noise_3d}
 void main() {
@@ -16,6 +20,10 @@ void main() {
     // Pass some values to the fragment shader
     vNormal = normal;
     vNoise = noise;
+    // Slot 0 is the plain wall material and keeps the noise colour ramp
+    int slot = int(surfaceMaterial + 0.5);
+    vMaterialColor = uMaterialColors[slot];
+    vMaterialWeight = slot > 0 ? 1.0 : 0.0;
     // Standard projection
     gl_Position = projectionMatrix * modelViewMatrix * vec4(newPosition, 1.0);
 }
\ No newline at end of file
@@ -0,0 +1,191 @@
+// worker-pool.js
+
+// Rays per seeded sub-range. Fixed so that a seeded run splits, and therefore
+// traces, identically whatever the number of workers.
+export const RAY_CHUNK_SIZE = 1000;
+
+/**
+ * Number of tracing workers to start: one per logical core.
+ * @returns {number}
+ */
+export function defaultPoolSize() {
+  const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency : 0;
+  return Math.max(1, Math.floor(cores || 4));
+}
+
+/**
+ * Whether typed arrays can be handed to workers as SharedArrayBuffer views,
+ * which needs a cross-origin isolated page.
+ * @returns {boolean}
+ */
+export function sharedMemoryAvailable() {
+  return typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true;
+}
+
+function copyArrays(arrays, allocate) {
+  return Object.fromEntries(Object.entries(arrays).map(([key, array]) => {
+    if (!array) return [key, null];
+    const copy = new array.constructor(allocate(array.byteLength), 0, array.length);
+    copy.set(array);
+    return [key, copy];
+  }));
+}
+
+/**
+ * Starts `size` copies of a worker. Messages and errors from every worker are
+ * reported together with the worker's index.
+ * @param {number} size - Number of workers.
+ * @param {function(): Worker} createWorker - Creates one worker.
+ * @param {function(object, number): void} onMessage - Receives message data and worker index.
+ * @param {function(ErrorEvent, number): void} onError - Receives load/runtime errors.
+ * @returns {{ size: number, post: function(number, object, Transferable[]=): void,
+ *   broadcast: function(object): void,
+ *   broadcastArrays: function(Object<string, ?ArrayBufferView>, function(object): object): void,
+ *   terminate: function(): void }}
+ */
+export function createWorkerPool(size, createWorker, onMessage, onError) {
+  const workers = Array.from({ length: size }, (_, index) => {
+    const worker = createWorker();
+    worker.onmessage = (event) => onMessage(event.data, index);
+    worker.onerror = (error) => onError(error, index);
+    return worker;
+  });
+
+  return {
+    size,
+    post(index, message, transfer = []) {
+      workers[index].postMessage(message, transfer);
+    },
+    // Structured-clones the same message once per worker
+    broadcast(message) {
+      workers.forEach(worker => worker.postMessage(message));
+    },
+    // Sends typed arrays without cloning them: one shared copy read by every
+    // worker when memory can be shared, otherwise a transferred copy each.
+    // `createMessage` receives the copies, keyed like `arrays`.
+    broadcastArrays(arrays, createMessage) {
+      if (sharedMemoryAvailable()) {
+        const message = createMessage(copyArrays(arrays, bytes => new SharedArrayBuffer(bytes)));
+        workers.forEach(worker => worker.postMessage(message));
+        return;
+      }
+      workers.forEach(worker => {
+        const copies = copyArrays(arrays, bytes => new ArrayBuffer(bytes));
+        const transfer = Object.values(copies).filter(Boolean).map(copy => copy.buffer);
+        worker.postMessage(createMessage(copies), transfer);
+      });
+    },
+    terminate() {
+      workers.forEach(worker => worker.terminate());
+    }
+  };
+}
+
+/**
+ * Splits a ray count into consecutive sub-ranges.
+ * @param {number} numRays - Total rays.
+ * @param {number} [chunkSize=RAY_CHUNK_SIZE] - Rays per range.
+ * @returns {Array<{start: number, count: number}>}
+ */
+export function splitRayRanges(numRays, chunkSize = RAY_CHUNK_SIZE) {
+  const ranges = [];
+  for (let start = 0; start < numRays; start += chunkSize) {
+    ranges.push({ start, count: Math.min(chunkSize, numRays - start) });
+  }
+  return ranges;
+}
+
+/**
+ * Seed for one sub-range, derived from the run's seed and the range start.
+ * @param {string} seed - Run seed; empty for an unseeded run.
+ * @param {number} start - First ray of the range.
+ * @returns {string} Empty when the run is unseeded.
+ */
+export function rangeSeed(seed, start) {
+  return seed ? `${seed}:${start}` : '';
+}
+
+/**
+ * Buffers of a packed trace that can be transferred instead of copied.
+ * @param {object} trace - Packed trace, see mergeTraces().
+ * @returns {ArrayBuffer[]}
+ */
+export function traceTransferables(trace) {
+  const buffers = [];
+  Object.values(trace.receivers).forEach(receiver => {
+    buffers.push(receiver.time.buffer, receiver.direction.buffer);
+    Object.values(receiver.amplitude).forEach(values => buffers.push(values.buffer));
+  });
+  Object.values(trace.histograms ?? {}).forEach(bands => {
+    Object.values(bands).forEach(values => buffers.push(values.buffer));
+  });
+  Object.values(trace.directions ?? {}).forEach(values => buffers.push(values.buffer));
+  Object.values(trace.directionEnergy ?? {}).forEach(values => buffers.push(values.buffer));
+  return buffers;
+}
+
+function concatenate(arrays) {
+  const out = new arrays[0].constructor(arrays.reduce((sum, a) => sum + a.length, 0));
+  let offset = 0;
+  arrays.forEach(a => {
+    out.set(a, offset);
+    offset += a.length;
+  });
+  return out;
+}
+
+function sumInto(target, values) {
+  for (let i = 0; i < values.length; i++) target[i] += values[i];
+  return target;
+}
+
+/**
+ * Merges packed traces of several ray ranges. Traces are combined in range
+ * order so the result does not depend on which worker finished first:
+ * arrivals are concatenated and ray-radiosity histograms summed.
+ * A packed trace holds, per receiver, the crossing times, arrival directions
+ * (x, y, z interleaved) and per-band amplitudes, plus per-band histograms and
+ * the direction histograms:
+ * `{ receivers: { id: { time, direction, amplitude: { band } } }, histograms: { id: { band } },
+ *   directions: { id }, directionEnergy: { id }, rrContributionCount }`.
+ * @param {Array<{range: {start: number}, trace: object}>} results - Traced ranges.
+ * @returns {object} Packed trace of all rays.
+ */
+export function mergeTraces(results) {
+  const traces = results.slice().sort((a, b) => a.range.start - b.range.start).map(result => result.trace);
+  const [first] = traces;
+
+  const receivers = Object.fromEntries(Object.keys(first.receivers).map(id => {
+    const parts = traces.map(trace => trace.receivers[id]);
+    return [id, {
+      time: concatenate(parts.map(part => part.time)),
+      direction: concatenate(parts.map(part => part.direction)),
+      amplitude: Object.fromEntries(Object.keys(parts[0].amplitude).map(band => [
+        band,
+        concatenate(parts.map(part => part.amplitude[band]))
+      ]))
+    }];
+  }));
+
+  const sumAll = (select) => traces.slice(1).reduce((total, trace) => sumInto(total, select(trace)), select(first).slice());
+  const histograms = first.histograms
+    ? Object.fromEntries(Object.entries(first.histograms).map(([id, bands]) => [
+      id,
+      Object.fromEntries(Object.keys(bands).map(band => [band, sumAll(trace => trace.histograms[id][band])]))
+    ]))
+    : null;
+  const directions = first.directions
+    ? Object.fromEntries(Object.keys(first.directions).map(id => [id, sumAll(trace => trace.directions[id])]))
+    : null;
+  const directionEnergy = first.directionEnergy
+    ? Object.fromEntries(Object.keys(first.directionEnergy).map(id => [id, sumAll(trace => trace.directionEnergy[id])]))
+    : null;
+
+  return {
+    receivers,
+    histograms,
+    directions,
+    directionEnergy,
+    rrContributionCount: traces.reduce((sum, trace) => sum + trace.rrContributionCount, 0)
+  };
+}